@@ -0,0 +1,1004 @@
+/**
+ * Request and response contracts for every HTTP endpoint.
+ *
+ * Each endpoint lists its method, auth requirement, whether it accepts an
+ * Idempotency-Key header, and JSON Schemas for its query string, JSON body and
+ * 200 response. index.js validates requests against these,
+ * and getOpenApi serves an OpenAPI 3.1 document built from the same definitions.
+ */
+
+const Ajv = require('ajv');
+const {appVersionPattern} = require('./maskPackage');
+const {eventTypes} = require('./webhooks');
+
+const string = {type: 'string'};
+const nonEmptyString = {type: 'string', minLength: 1};
+const nullableString = {type: ['string', 'null']};
+const boolean = {type: 'boolean'};
+const integer = {type: 'integer'};
+const timestamp = {type: 'string', format: 'date-time'};
+const stringList = {type: 'array', items: nonEmptyString};
+
+// Masks and comments have integer ids; clients send them as numbers or strings.
+const documentId = {type: ['integer', 'string'], minLength: 1};
+
+const limit = {type: 'integer', minimum: 1, maximum: 100};
+const lastId = {type: 'string', description: 'Id of the last item of the previous page'};
+const orderDirection = {type: 'string', enum: ['asc', 'desc']};
+const maskOrderBy = {
+   type: 'string',
+   enum: ['ratingsCount', 'uploadedOn', 'averageRating', 'maskName', 'trending', 'topRated']
+};
+
+const reportedItemType = {type: 'string', enum: ['mask', 'comment', 'user']};
+const webhookEventType = {
+   type: 'string',
+   enum: eventTypes
+};
+
+const reportReason = {
+   type: 'string',
+   enum: ['spam', 'offensive', 'inappropriate', 'copyright', 'harassment', 'other']
+};
+
+function ref(name) {
+   return {$ref: `#/components/schemas/${name}`};
+}
+
+function object(properties, required = []) {
+   return {type: 'object', properties, required};
+}
+
+function page(itemsName, itemSchema) {
+   return object({
+      [itemsName]: {type: 'array', items: itemSchema},
+      lastId: nullableString
+   }, [itemsName, 'lastId']);
+}
+
+const componentSchemas = {
+   Error: object({
+      success: {type: 'boolean', const: false},
+      error: string,
+      rule: {...string, description: 'Upload or text moderation rule that rejected the request'},
+      retryAfter: {...integer, description: 'Seconds until a rate-limited request may be retried'},
+      fields: {
+         type: 'array',
+         description: 'Field-level validation errors',
+         items: object({field: string, message: string}, ['field', 'message'])
+      },
+      requestId: {...string, description: 'Also sent as the X-Request-Id response header'}
+   }, ['success', 'error']),
+   Success: object({success: {type: 'boolean', const: true}}, ['success']),
+   User: object({
+      id: string,
+      name: string,
+      photoUrl: nullableString,
+      canComment: boolean,
+      canUpload: boolean,
+      isAdmin: boolean,
+      creationDate: timestamp,
+      lastAccess: timestamp
+   }),
+   UserStats: object({
+      googleId: string,
+      maskCount: integer,
+      ratingsReceived: integer,
+      commentsPosted: integer
+   }),
+   ImageVariants: object({
+      original: string,
+      thumbnail: string,
+      preview: string
+   }),
+   Mask: object({
+      id: integer,
+      maskUrl: {...string, description: 'URL of the validated mask package'},
+      formatVersion: integer,
+      anchorPoints: {
+         type: 'array',
+         items: object({name: string, x: {type: 'number'}, y: {type: 'number'}, z: {type: 'number'}})
+      },
+      requiredAppVersion: string,
+      maskName: string,
+      description: string,
+      images: {
+         type: 'array',
+         items: string,
+         description: 'Original image URLs; thumbnail URLs in list responses'
+      },
+      imageVariants: {
+         type: 'array',
+         items: ref('ImageVariants'),
+         description: 'Only returned by getMask'
+      },
+      tags: {type: 'array', items: string},
+      uploaderGoogleId: string,
+      averageRating: {type: 'number'},
+      ratingsCount: integer,
+      ratingHistogram: {type: 'object', additionalProperties: integer},
+      topRatedScore: {type: 'number'},
+      trendingScore: {type: 'number'},
+      favoriteCount: integer,
+      isFavorited: {...boolean, description: 'Only returned by getMask for authenticated callers'},
+      usesCount: integer,
+      remixCount: integer,
+      parentMaskId: nullableString,
+      ancestorMaskIds: {type: 'array', items: string, description: 'Lineage from the oldest ancestor to the parent'},
+      version: integer,
+      uploadedOn: timestamp,
+      updatedOn: timestamp,
+      lastAccessedOn: timestamp,
+      isRemoved: boolean,
+      hiddenByReports: boolean,
+      deletedOn: timestamp
+   }),
+   MaskPage: page('masks', ref('Mask')),
+   Rating: object({
+      maskId: string,
+      googleId: string,
+      rating: integer,
+      postedOn: timestamp
+   }),
+   Comment: object({
+      id: integer,
+      maskId: string,
+      googleId: nullableString,
+      comment: string,
+      parentCommentId: nullableString,
+      replyCount: integer,
+      isDeleted: boolean,
+      isHidden: {...boolean, description: 'Hidden after reports, pending moderator review'},
+      postedOn: timestamp,
+      editedOn: timestamp,
+      author: {
+         type: ['object', 'null'],
+         properties: {name: string, photoUrl: nullableString}
+      }
+   }),
+   CommentPage: page('comments', ref('Comment')),
+   Report: object({
+      id: string,
+      reportedItemType: string,
+      reportedItemId: documentId,
+      reporterGoogleId: nullableString,
+      reason: string,
+      description: string,
+      status: {type: 'string', enum: ['open', 'resolved']},
+      reportedOn: timestamp,
+      resolution: object({
+         action: string,
+         note: string,
+         moderatorGoogleId: string,
+         resolvedOn: timestamp
+      })
+   }),
+   ReportPage: page('reports', ref('Report')),
+   ReportDetail: object({
+      report: ref('Report'),
+      reportedItem: {type: ['object', 'null']}
+   }, ['report', 'reportedItem']),
+   Collection: object({
+      id: string,
+      ownerGoogleId: string,
+      name: string,
+      isPublic: boolean,
+      maskIds: {type: 'array', items: string},
+      masks: {type: 'array', items: ref('Mask'), description: 'Only returned by getCollection'},
+      createdOn: timestamp,
+      updatedOn: timestamp
+   }),
+   Notification: object({
+      id: string,
+      type: {type: 'string', enum: ['rating', 'comment', 'reply', 'moderation']},
+      recipientGoogleId: string,
+      actorGoogleIds: {type: 'array', items: string},
+      count: {...integer, description: 'Number of grouped ratings'},
+      maskId: nullableString,
+      maskName: nullableString,
+      commentId: string,
+      parentCommentId: string,
+      action: string,
+      read: boolean,
+      createdOn: timestamp,
+      updatedOn: timestamp
+   }),
+   Webhook: object({
+      id: string,
+      url: string,
+      eventTypes: {type: 'array', items: webhookEventType},
+      description: string,
+      active: boolean,
+      createdByGoogleId: string,
+      createdOn: timestamp,
+      deletedOn: timestamp
+   }),
+   WebhookDelivery: object({
+      id: string,
+      webhookId: string,
+      eventId: string,
+      eventType: webhookEventType,
+      status: {type: 'string', enum: ['pending', 'delivered', 'failed']},
+      attempts: integer,
+      createdOn: timestamp,
+      nextAttemptOn: {...timestamp, type: ['string', 'null']},
+      lastAttemptOn: timestamp,
+      lastResponseStatus: {type: ['integer', 'null']},
+      lastError: nullableString,
+      deliveredOn: timestamp,
+      failedOn: timestamp
+   }),
+   WebhookDeliveryPage: page('deliveries', ref('WebhookDelivery')),
+   UploadedFile: object({
+      fieldname: string,
+      originalName: string,
+      url: string,
+      thumbnailUrl: nullableString,
+      previewUrl: nullableString,
+      duplicate: boolean
+   })
+};
+
+const endpoints = {
+   helloWorld: {
+      method: 'GET',
+      summary: 'Health check',
+      auth: 'none',
+      response: string
+   },
+   createUser: {
+      method: 'POST',
+      summary: 'Create the caller\'s user profile',
+      auth: 'required',
+      body: object({
+         googleId: nonEmptyString,
+         name: nonEmptyString,
+         photoUrl: nullableString
+      }, ['name']),
+      response: ref('Success')
+   },
+   getUser: {
+      method: 'GET',
+      summary: 'Get a user profile; an empty object when it does not exist',
+      auth: 'optional',
+      query: object({googleId: nonEmptyString}),
+      response: ref('User')
+   },
+   updateUser: {
+      method: 'POST',
+      summary: 'Update the caller\'s name and photo',
+      auth: 'required',
+      body: object({
+         googleId: nonEmptyString,
+         name: nonEmptyString,
+         photoUrl: nullableString
+      }),
+      response: ref('Success')
+   },
+   getUserMasks: {
+      method: 'GET',
+      summary: 'List the masks uploaded by a user',
+      auth: 'optional',
+      query: object({
+         googleId: nonEmptyString,
+         limit,
+         orderBy: maskOrderBy,
+         orderDirection,
+         lastId
+      }),
+      response: ref('MaskPage')
+   },
+   getUserStats: {
+      method: 'GET',
+      summary: 'Get mask, rating and comment counts for a user',
+      auth: 'optional',
+      query: object({googleId: nonEmptyString}),
+      response: ref('UserStats')
+   },
+   deleteAccount: {
+      method: 'POST',
+      summary: 'Delete the caller\'s account and anonymize their activity',
+      auth: 'required',
+      body: object({
+         confirm: {type: 'string', minLength: 1, description: 'The caller\'s googleId, repeated to confirm the deletion'},
+         maskAction: {type: 'string', enum: ['remove', 'keep']}
+      }, ['confirm', 'maskAction']),
+      response: object({
+         success: boolean,
+         masks: integer,
+         ratings: integer,
+         comments: integer,
+         reports: integer
+      })
+   },
+   uploadFile: {
+      method: 'POST',
+      summary: 'Upload images or mask packages; packages are validated against the package format',
+      auth: 'required',
+      idempotent: true,
+      multipart: object({
+         file: {type: 'string', format: 'binary'}
+      }),
+      response: object({
+         fields: {type: 'object', additionalProperties: string},
+         files: {type: 'array', items: ref('UploadedFile')}
+      })
+   },
+   createUploadSession: {
+      method: 'POST',
+      summary: 'Get a signed URL to upload a file directly to Storage',
+      auth: 'required',
+      body: object({
+         filename: nonEmptyString,
+         mimeType: nonEmptyString,
+         size: {type: 'integer', minimum: 1}
+      }, ['filename', 'mimeType', 'size']),
+      response: object({
+         success: boolean,
+         sessionId: string,
+         uploadUrl: string,
+         method: string,
+         headers: {type: 'object', additionalProperties: string},
+         expiresOn: timestamp
+      })
+   },
+   finalizeUpload: {
+      method: 'POST',
+      summary: 'Check a direct upload and make it readable',
+      auth: 'required',
+      body: object({sessionId: nonEmptyString}, ['sessionId']),
+      response: object({
+         success: boolean,
+         url: string,
+         thumbnailUrl: nullableString,
+         previewUrl: nullableString
+      })
+   },
+   createMask: {
+      method: 'POST',
+      summary: 'Publish a mask from a validated mask package',
+      auth: 'required',
+      idempotent: true,
+      body: object({
+         maskUrl: nonEmptyString,
+         name: nonEmptyString,
+         description: string,
+         images: {...stringList, minItems: 1},
+         tags: stringList,
+         uploaderGoogleId: nonEmptyString,
+         parentMaskId: {...documentId, description: 'The mask this one remixes'}
+      }, ['maskUrl', 'name', 'images']),
+      response: object({success: boolean, maskId: integer})
+   },
+   getMask: {
+      method: 'GET',
+      summary: 'Get a mask with all image variants, optionally at an earlier version',
+      auth: 'optional',
+      query: object({
+         maskId: nonEmptyString,
+         version: {type: 'integer', minimum: 1}
+      }, ['maskId']),
+      response: ref('Mask')
+   },
+   updateMask: {
+      method: 'POST',
+      summary: 'Edit a mask, saving the previous state as a version',
+      auth: 'required',
+      body: object({
+         maskId: documentId,
+         maskUrl: nonEmptyString,
+         name: nonEmptyString,
+         description: string,
+         images: {...stringList, minItems: 1},
+         tags: stringList
+      }, ['maskId']),
+      response: object({success: boolean, maskId: integer, version: integer})
+   },
+   rollbackMask: {
+      method: 'POST',
+      summary: 'Restore an earlier version of a mask as a new version',
+      auth: 'required',
+      body: object({
+         maskId: documentId,
+         version: {type: 'integer', minimum: 1}
+      }, ['maskId', 'version']),
+      response: object({success: boolean, maskId: integer, version: integer})
+   },
+   deleteMask: {
+      method: 'POST',
+      summary: 'Delete a mask; it is purged after the grace period',
+      auth: 'required',
+      body: object({maskId: documentId}, ['maskId']),
+      response: object({success: boolean, purgeAfter: timestamp})
+   },
+   restoreMask: {
+      method: 'POST',
+      summary: 'Restore a deleted mask before it is purged',
+      auth: 'required',
+      body: object({maskId: documentId}, ['maskId']),
+      response: ref('Success')
+   },
+   getMasks: {
+      method: 'GET',
+      summary: 'List masks',
+      auth: 'none',
+      query: object({
+         limit,
+         orderBy: maskOrderBy,
+         orderDirection,
+         lastId,
+         appVersion: {
+            type: 'string',
+            pattern: appVersionPattern,
+            description: 'Only masks this CamMask app version can load; older masks match once backfillMaskSearchFields has run'
+         }
+      }),
+      response: ref('MaskPage')
+   },
+   searchMasks: {
+      method: 'GET',
+      summary: 'Search masks by name, tags and uploader',
+      auth: 'none',
+      query: object({
+         q: string,
+         tags: {type: 'array', items: string, description: 'Repeated or comma-separated'},
+         tagMode: {type: 'string', enum: ['any', 'all']},
+         uploaderGoogleId: nonEmptyString,
+         limit,
+         orderBy: maskOrderBy,
+         orderDirection,
+         lastId
+      }),
+      response: ref('MaskPage')
+   },
+   backfillMaskSearchFields: {
+      method: 'POST',
+      summary: 'Fill in search, ranking and app version fields on older masks, a page at a time',
+      auth: 'admin',
+      body: object({
+         limit: {type: 'integer', minimum: 1, maximum: 500},
+         lastId: {type: ['string', 'integer', 'null']}
+      }),
+      response: object({success: boolean, updated: integer, lastId: nullableString})
+   },
+   recordMaskUse: {
+      method: 'POST',
+      summary: 'Record that the caller applied or downloaded a mask',
+      auth: 'required',
+      body: object({
+         maskId: documentId,
+         kind: {type: 'string', enum: ['apply', 'download']}
+      }, ['maskId', 'kind']),
+      response: object({success: boolean, counted: boolean})
+   },
+   postRating: {
+      method: 'POST',
+      summary: 'Rate a mask or change the caller\'s rating',
+      auth: 'required',
+      body: object({
+         maskId: documentId,
+         googleId: nonEmptyString,
+         rating: integer
+      }, ['maskId', 'rating']),
+      response: ref('Success')
+   },
+   getRating: {
+      method: 'GET',
+      summary: 'Get a user\'s rating of a mask',
+      auth: 'optional',
+      query: object({
+         maskId: nonEmptyString,
+         googleId: nonEmptyString
+      }, ['maskId']),
+      response: ref('Rating')
+   },
+   deleteRating: {
+      method: 'POST',
+      summary: 'Remove the caller\'s rating of a mask',
+      auth: 'required',
+      body: object({
+         maskId: documentId,
+         googleId: nonEmptyString
+      }, ['maskId']),
+      response: ref('Success')
+   },
+   postComment: {
+      method: 'POST',
+      summary: 'Comment on a mask or reply to a comment',
+      auth: 'required',
+      idempotent: true,
+      body: object({
+         maskId: documentId,
+         googleId: nonEmptyString,
+         comment: nonEmptyString,
+         parentCommentId: {type: ['integer', 'string', 'null']}
+      }, ['maskId', 'comment']),
+      response: object({success: boolean, commentId: integer})
+   },
+   editComment: {
+      method: 'POST',
+      summary: 'Edit one of the caller\'s comments',
+      auth: 'required',
+      body: object({
+         commentId: documentId,
+         comment: nonEmptyString
+      }, ['commentId', 'comment']),
+      response: ref('Success')
+   },
+   deleteComment: {
+      method: 'POST',
+      summary: 'Delete one of the caller\'s comments',
+      auth: 'required',
+      body: object({commentId: documentId}, ['commentId']),
+      response: object({success: boolean, tombstone: boolean})
+   },
+   getComments: {
+      method: 'GET',
+      summary: 'List a mask\'s top-level comments, or the replies to one comment',
+      auth: 'none',
+      query: object({
+         maskId: nonEmptyString,
+         parentCommentId: nonEmptyString,
+         order: {type: 'string', enum: ['newest', 'oldest']},
+         limit,
+         lastId
+      }, ['maskId']),
+      response: ref('CommentPage')
+   },
+   backfillCommentThreads: {
+      method: 'POST',
+      summary: 'Fill in thread fields on older comments, a page at a time',
+      auth: 'admin',
+      body: object({
+         limit: {type: 'integer', minimum: 1, maximum: 500},
+         lastId: {type: ['string', 'integer', 'null']}
+      }),
+      response: object({success: boolean, updated: integer, lastId: nullableString})
+   },
+   postReport: {
+      method: 'POST',
+      summary: 'Report a mask, comment or user',
+      auth: 'required',
+      idempotent: true,
+      body: object({
+         reportedItemType: reportedItemType,
+         reportedItemId: documentId,
+         reporterGoogleId: nonEmptyString,
+         reason: reportReason,
+         description: string
+      }, ['reportedItemType', 'reportedItemId', 'reason']),
+      response: object({success: boolean, reportId: string})
+   },
+   getReports: {
+      method: 'GET',
+      summary: 'List reports for moderators',
+      auth: 'admin',
+      query: object({
+         limit,
+         status: {type: 'string', enum: ['open', 'resolved']},
+         reportedItemType: reportedItemType,
+         reason: reportReason,
+         lastId
+      }),
+      response: ref('ReportPage')
+   },
+   getReport: {
+      method: 'GET',
+      summary: 'Get a report together with the reported item',
+      auth: 'admin',
+      query: object({reportId: nonEmptyString}, ['reportId']),
+      response: ref('ReportDetail')
+   },
+   resolveReport: {
+      method: 'POST',
+      summary: 'Resolve a report with a moderation action',
+      auth: 'admin',
+      body: object({
+         reportId: nonEmptyString,
+         action: {type: 'string', enum: ['dismiss', 'removeMask', 'deleteComment', 'restrictUser']},
+         note: string,
+         isRemoved: boolean,
+         canUpload: boolean,
+         canComment: boolean
+      }, ['reportId', 'action']),
+      response: ref('Success')
+   },
+   backfillReportStatus: {
+      method: 'POST',
+      summary: 'Open older reports that were filed without a status, a page at a time',
+      auth: 'admin',
+      body: object({
+         limit: {type: 'integer', minimum: 1, maximum: 500},
+         lastId: {type: ['string', 'null']}
+      }),
+      response: object({success: boolean, updated: integer, lastId: nullableString})
+   },
+   favoriteMask: {
+      method: 'POST',
+      summary: 'Add a mask to the caller\'s favorites',
+      auth: 'required',
+      body: object({maskId: documentId}, ['maskId']),
+      response: ref('Success')
+   },
+   unfavoriteMask: {
+      method: 'POST',
+      summary: 'Remove a mask from the caller\'s favorites',
+      auth: 'required',
+      body: object({maskId: documentId}, ['maskId']),
+      response: ref('Success')
+   },
+   getFavorites: {
+      method: 'GET',
+      summary: 'List the caller\'s favorite masks',
+      auth: 'required',
+      query: object({limit, lastId}),
+      response: ref('MaskPage')
+   },
+   createCollection: {
+      method: 'POST',
+      summary: 'Create a named collection of masks',
+      auth: 'required',
+      body: object({
+         name: nonEmptyString,
+         isPublic: boolean,
+         maskIds: {type: 'array', items: documentId}
+      }, ['name']),
+      response: object({success: boolean, collectionId: string})
+   },
+   updateCollection: {
+      method: 'POST',
+      summary: 'Rename a collection, change its visibility or replace its ordered masks',
+      auth: 'required',
+      body: object({
+         collectionId: nonEmptyString,
+         name: nonEmptyString,
+         isPublic: boolean,
+         maskIds: {type: 'array', items: documentId}
+      }, ['collectionId']),
+      response: ref('Success')
+   },
+   deleteCollection: {
+      method: 'POST',
+      summary: 'Delete a collection',
+      auth: 'required',
+      body: object({collectionId: nonEmptyString}, ['collectionId']),
+      response: ref('Success')
+   },
+   getCollection: {
+      method: 'GET',
+      summary: 'Get a collection with its masks',
+      auth: 'optional',
+      query: object({collectionId: nonEmptyString}, ['collectionId']),
+      response: ref('Collection')
+   },
+   getCollections: {
+      method: 'GET',
+      summary: 'List a user\'s collections',
+      auth: 'optional',
+      query: object({googleId: nonEmptyString}),
+      response: object({collections: {type: 'array', items: ref('Collection')}}, ['collections'])
+   },
+   getRateLimits: {
+      method: 'GET',
+      summary: 'Show a user\'s active rate-limit counters',
+      auth: 'admin',
+      query: object({googleId: nonEmptyString}, ['googleId']),
+      response: object({
+         googleId: string,
+         counters: {
+            type: 'array',
+            items: object({
+               endpoint: string,
+               limit: integer,
+               windowSeconds: integer,
+               count: integer,
+               resetsOn: timestamp
+            })
+         }
+      })
+   },
+   resetRateLimits: {
+      method: 'POST',
+      summary: 'Reset a user\'s rate-limit counters, for one endpoint or all',
+      auth: 'admin',
+      body: object({
+         googleId: nonEmptyString,
+         endpoint: nonEmptyString
+      }, ['googleId']),
+      response: object({success: boolean, reset: integer})
+   },
+   getNotifications: {
+      method: 'GET',
+      summary: 'List the caller\'s notifications, newest activity first',
+      auth: 'required',
+      query: object({limit, lastId}),
+      response: object({
+         notifications: {type: 'array', items: ref('Notification')},
+         unreadCount: integer,
+         lastId: nullableString
+      }, ['notifications', 'unreadCount', 'lastId'])
+   },
+   markNotificationsRead: {
+      method: 'POST',
+      summary: 'Mark some or all of the caller\'s notifications as read',
+      auth: 'required',
+      body: object({
+         notificationIds: {type: 'array', items: nonEmptyString, maxItems: 100},
+         all: boolean
+      }),
+      response: object({success: boolean, marked: integer})
+   },
+   createWebhook: {
+      method: 'POST',
+      summary: 'Register a webhook; the signing secret is returned only here',
+      auth: 'admin',
+      body: object({
+         url: nonEmptyString,
+         eventTypes: {type: 'array', items: webhookEventType, minItems: 1},
+         description: string
+      }, ['url', 'eventTypes']),
+      response: object({success: boolean, webhookId: string, secret: string})
+   },
+   getWebhooks: {
+      method: 'GET',
+      summary: 'List registered webhooks',
+      auth: 'admin',
+      response: object({webhooks: {type: 'array', items: ref('Webhook')}})
+   },
+   deleteWebhook: {
+      method: 'POST',
+      summary: 'Deactivate a webhook',
+      auth: 'admin',
+      body: object({webhookId: nonEmptyString}, ['webhookId']),
+      response: ref('Success')
+   },
+   getWebhookDeliveries: {
+      method: 'GET',
+      summary: 'List webhook deliveries, newest first',
+      auth: 'admin',
+      query: object({
+         webhookId: nonEmptyString,
+         status: {type: 'string', enum: ['pending', 'delivered', 'failed']},
+         limit,
+         lastId
+      }),
+      response: ref('WebhookDeliveryPage')
+   },
+   replayWebhookDelivery: {
+      method: 'POST',
+      summary: 'Send a failed (dead-lettered) delivery again',
+      auth: 'admin',
+      body: object({deliveryId: nonEmptyString}, ['deliveryId']),
+      response: object({success: boolean, status: string, lastError: nullableString})
+   },
+   getRequestMetrics: {
+      method: 'GET',
+      summary: 'Per-endpoint request, error and latency counters',
+      auth: 'admin',
+      query: object({
+         endpoint: nonEmptyString,
+         hours: {type: 'integer', minimum: 1, maximum: 168}
+      }),
+      response: object({
+         since: timestamp,
+         latencyBucketBounds: {type: 'array', items: integer},
+         endpoints: {
+            type: 'array',
+            items: object({
+               endpoint: string,
+               requests: integer,
+               clientErrors: integer,
+               serverErrors: integer,
+               errorRate: {type: 'number'},
+               averageLatencyMs: integer,
+               latencyBuckets: {
+                  type: 'object',
+                  description: 'Requests per latency bucket: le<bound> in ms, or over',
+                  additionalProperties: integer
+               }
+            })
+         }
+      })
+   },
+   getMaskRemixes: {
+      method: 'GET',
+      summary: 'List the remixes of a mask',
+      auth: 'none',
+      query: object({
+         maskId: nonEmptyString,
+         limit,
+         orderBy: maskOrderBy,
+         orderDirection,
+         lastId
+      }, ['maskId']),
+      response: ref('MaskPage')
+   },
+   getMaskLineage: {
+      method: 'GET',
+      summary: 'List the ancestors of a mask, oldest first',
+      auth: 'none',
+      query: object({maskId: nonEmptyString}, ['maskId']),
+      response: object({
+         maskId: integer,
+         ancestors: {type: 'array', items: ref('Mask')}
+      })
+   },
+   getOpenApi: {
+      method: 'GET',
+      summary: 'This OpenAPI document',
+      auth: 'none',
+      response: {type: 'object'}
+   }
+};
+
+const bodyValidator = new Ajv({allErrors: true, allowUnionTypes: true});
+// Query values arrive as strings; coercion turns them into the declared types in place.
+const queryValidator = new Ajv({allErrors: true, allowUnionTypes: true, coerceTypes: 'array'});
+const compiledValidators = {};
+
+function compiledValidator(endpoint, location) {
+   const key = `${endpoint}.${location}`;
+   if (!(key in compiledValidators)) {
+      const schema = endpoints[endpoint][location];
+      compiledValidators[key] = schema
+          ? (location === 'query' ? queryValidator : bodyValidator).compile(schema)
+          : null;
+   }
+   return compiledValidators[key];
+}
+
+function toFieldErrors(location, errors) {
+   return errors.map(error => {
+      const path = error.instancePath.split('/').slice(1);
+      if (error.keyword === 'required') {
+         path.push(error.params.missingProperty);
+      }
+
+      let message = error.message;
+      if (error.keyword === 'required') {
+         message = 'is required';
+      } else if (error.keyword === 'minLength' && error.params.limit === 1) {
+         message = 'must not be empty';
+      } else if (error.keyword === 'enum') {
+         message = 'must be one of: ' + error.params.allowedValues.join(', ');
+      }
+
+      return {
+         field: [location, ...path].join('.'),
+         message: message
+      };
+   });
+}
+
+/**
+ * Validates a request's query string and JSON body against the endpoint's contract.
+ * Returns a list of `{field, message}` errors, or null when the request is valid.
+ */
+function findRequestErrors(endpoint, req) {
+   if (!endpoints[endpoint]) {
+      throw new Error(`No contract for endpoint ${endpoint}`);
+   }
+
+   const fieldErrors = [];
+
+   const validateQuery = compiledValidator(endpoint, 'query');
+   if (validateQuery && !validateQuery(req.query)) {
+      fieldErrors.push(...toFieldErrors('query', validateQuery.errors));
+   }
+
+   const validateBody = compiledValidator(endpoint, 'body');
+   if (validateBody && !validateBody(req.body)) {
+      fieldErrors.push(...toFieldErrors('body', validateBody.errors));
+   }
+
+   return fieldErrors.length > 0 ? fieldErrors : null;
+}
+
+function securityFor(auth) {
+   if (auth === 'none') {
+      return [];
+   }
+   if (auth === 'optional') {
+      return [{}, {bearerAuth: []}];
+   }
+   return [{bearerAuth: []}];
+}
+
+function jsonContent(schema) {
+   return {'application/json': {schema}};
+}
+
+function operationFor(name, contract) {
+   const operation = {
+      operationId: name,
+      summary: contract.summary,
+      security: securityFor(contract.auth),
+      responses: {
+         200: {
+            description: 'Success',
+            content: jsonContent(contract.response)
+         },
+         default: {
+            description: 'Error',
+            content: jsonContent(ref('Error'))
+         }
+      }
+   };
+
+   if (contract.auth === 'admin') {
+      operation.description = 'Requires a user with isAdmin set.';
+   }
+
+   if (contract.query) {
+      const required = contract.query.required || [];
+      operation.parameters = Object.entries(contract.query.properties).map(([parameter, schema]) => ({
+         name: parameter,
+         in: 'query',
+         required: required.includes(parameter),
+         schema: schema
+      }));
+   }
+
+   if (contract.idempotent) {
+      operation.parameters = [...(operation.parameters || []), {
+         name: 'Idempotency-Key',
+         in: 'header',
+         required: false,
+         description: 'Retries with the same key get the first response back instead of repeating the request',
+         schema: {type: 'string', minLength: 1, maxLength: 255}
+      }];
+   }
+
+   if (contract.body) {
+      operation.requestBody = {
+         required: true,
+         content: jsonContent(contract.body)
+      };
+   } else if (contract.multipart) {
+      operation.requestBody = {
+         required: true,
+         content: {'multipart/form-data': {schema: contract.multipart}}
+      };
+   }
+
+   return operation;
+}
+
+/**
+ * Builds the OpenAPI 3.1 document for all endpoints. Every function is served
+ * from its own path under serverUrl.
+ */
+function buildOpenApiDocument(serverUrl) {
+   const paths = {};
+   Object.entries(endpoints).forEach(([name, contract]) => {
+      paths[`/${name}`] = {
+         [contract.method.toLowerCase()]: operationFor(name, contract)
+      };
+   });
+
+   return {
+      openapi: '3.1.0',
+      info: {
+         title: 'CamMask API',
+         version: '1.0.0'
+      },
+      servers: [{url: serverUrl}],
+      paths: paths,
+      components: {
+         schemas: componentSchemas,
+         securitySchemes: {
+            bearerAuth: {
+               type: 'http',
+               scheme: 'bearer',
+               bearerFormat: 'Firebase ID token'
+            }
+         }
+      }
+   };
+}
+
+module.exports = {
+   endpoints,
+   findRequestErrors,
+   buildOpenApiDocument
+};
@@ -0,0 +1,111 @@
+/**
+ * Detects the type of uploaded files from their leading bytes, so uploadFile
+ * does not have to trust the mimeType sent by the client.
+ */
+
+const path = require('path');
+
+// Number of leading bytes detectFileType needs to see.
+const headerLength = 16;
+
+function startsWith(header, bytes, offset = 0) {
+   if (header.length < offset + bytes.length) {
+      return false;
+   }
+   return bytes.every((byte, index) => header[offset + index] === byte);
+}
+
+function ascii(text) {
+   return [...text].map(char => char.charCodeAt(0));
+}
+
+const allowedFileTypes = [
+   {
+      mimeType: 'image/png',
+      kind: 'image',
+      extensions: ['png'],
+      matches: header => startsWith(header, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+   },
+   {
+      mimeType: 'image/jpeg',
+      kind: 'image',
+      extensions: ['jpg', 'jpeg'],
+      matches: header => startsWith(header, [0xff, 0xd8, 0xff])
+   },
+   {
+      mimeType: 'image/gif',
+      kind: 'image',
+      extensions: ['gif'],
+      matches: header => startsWith(header, ascii('GIF87a')) || startsWith(header, ascii('GIF89a'))
+   },
+   {
+      mimeType: 'image/webp',
+      kind: 'image',
+      extensions: ['webp'],
+      matches: header => startsWith(header, ascii('RIFF')) && startsWith(header, ascii('WEBP'), 8)
+   },
+   {
+      mimeType: 'application/zip',
+      kind: 'mask',
+      extensions: ['zip', 'cammask'],
+      matches: header => startsWith(header, [0x50, 0x4b, 0x03, 0x04])
+   },
+   {
+      mimeType: 'model/gltf-binary',
+      kind: 'mask',
+      extensions: ['glb'],
+      matches: header => startsWith(header, ascii('glTF'))
+   }
+];
+
+const mimeTypeAliases = {
+   'image/jpg': 'image/jpeg',
+   'image/pjpeg': 'image/jpeg',
+   'application/x-zip-compressed': 'application/zip',
+   'application/x-zip': 'application/zip'
+};
+
+// Claims that say nothing about the content and are never treated as a mismatch.
+const genericMimeTypes = ['', 'application/octet-stream'];
+
+/**
+ * Returns the allowed file type whose signature matches the header, or null.
+ */
+function detectFileType(header) {
+   return allowedFileTypes.find(type => type.matches(header)) || null;
+}
+
+/**
+ * Returns the allowed file type for a declared mimeType, or null when it is not allowed.
+ */
+function fileTypeForMimeType(claimedMimeType) {
+   const mimeType = String(claimedMimeType || '').toLowerCase();
+   const canonical = mimeTypeAliases[mimeType] || mimeType;
+   return allowedFileTypes.find(type => type.mimeType === canonical) || null;
+}
+
+/**
+ * Checks that the client's declared mimeType and file name agree with the detected type.
+ * Returns the name of the mismatching field, or null when both agree.
+ */
+function findTypeMismatch(fileType, claimedMimeType, filename) {
+   const mimeType = String(claimedMimeType || '').toLowerCase();
+   if (!genericMimeTypes.includes(mimeType) && (mimeTypeAliases[mimeType] || mimeType) !== fileType.mimeType) {
+      return 'mimeType';
+   }
+
+   const extension = path.extname(String(filename || '')).slice(1).toLowerCase();
+   if (extension && !fileType.extensions.includes(extension)) {
+      return 'extension';
+   }
+
+   return null;
+}
+
+module.exports = {
+   headerLength,
+   allowedFileTypes,
+   detectFileType,
+   fileTypeForMimeType,
+   findTypeMismatch
+};
@@ -0,0 +1,104 @@
+/**
+ * Renders the thumbnail and preview variants of uploaded mask images.
+ * Uses Jimp so it runs in plain Node without native image libraries.
+ */
+
+const fs = require('fs');
+const {Jimp} = require('jimp');
+
+const thumbnailSize = 256;
+const previewSize = 1024;
+const variantMimeType = 'image/jpeg';
+const variantQuality = 80;
+
+// Jimp cannot decode WebP, so those images are served without variants.
+const supportedMimeTypes = ['image/png', 'image/jpeg', 'image/gif'];
+
+// Decoded images take 4 bytes per pixel, so this caps decoding at about 160 MB.
+const maxImagePixels = 40 * 1000 * 1000;
+
+// JPEG start-of-frame markers, which carry the image size.
+const jpegFrameMarkers = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+/**
+ * Reads the width and height from a PNG IHDR chunk, a GIF screen descriptor or a
+ * JPEG start-of-frame segment without decoding the image. Returns null when the
+ * size cannot be found.
+ */
+function readImageSize(buffer) {
+   if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+      return {width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20)};
+   }
+
+   if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+      return {width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8)};
+   }
+
+   if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 4 <= buffer.length) {
+         if (buffer[offset] !== 0xff) {
+            return null;
+         }
+         const marker = buffer[offset + 1];
+         if (marker === 0xff) {
+            offset++;
+            continue;
+         }
+         if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+         }
+         const segmentLength = buffer.readUInt16BE(offset + 2);
+         if (jpegFrameMarkers.includes(marker)) {
+            return offset + 9 <= buffer.length
+                ? {width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5)}
+                : null;
+         }
+         offset += 2 + segmentLength;
+      }
+   }
+
+   return null;
+}
+
+/**
+ * Returns JPEG buffers for a square thumbnail and a preview that fits in
+ * previewSize x previewSize. Images smaller than the preview are not upscaled.
+ * `source` is a file path or a buffer. Images whose header does not give a size
+ * within maxImagePixels are rejected before decoding.
+ */
+async function renderImageVariants(source) {
+   const buffer = Buffer.isBuffer(source) ? source : await fs.promises.readFile(source);
+
+   const size = readImageSize(buffer);
+   if (!size) {
+      throw new Error('Image size could not be read from its header');
+   }
+   if (size.width * size.height > maxImagePixels) {
+      throw new Error(`Image is ${size.width}x${size.height}, more than ${maxImagePixels} pixels`);
+   }
+
+   const image = await Jimp.read(buffer);
+
+   const thumbnail = image.clone();
+   thumbnail.cover({w: thumbnailSize, h: thumbnailSize});
+
+   const preview = image.clone();
+   if (preview.width > previewSize || preview.height > previewSize) {
+      preview.scaleToFit({w: previewSize, h: previewSize});
+   }
+
+   return {
+      thumbnail: await thumbnail.getBuffer(variantMimeType, {quality: variantQuality}),
+      preview: await preview.getBuffer(variantMimeType, {quality: variantQuality})
+   };
+}
+
+module.exports = {
+   supportedMimeTypes,
+   maxImagePixels,
+   readImageSize,
+   variantMimeType,
+   renderImageVariants
+};
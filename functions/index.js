@@ -8,8 +8,12 @@
  */
 
 const {onRequest} = require("firebase-functions/v2/https");
+const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {onDocumentCreated, onDocumentWritten} = require("firebase-functions/v2/firestore");
+const {defineInt, defineString, defineBoolean} = require("firebase-functions/params");
 const {initializeApp} = require("firebase-admin/app");
-const {getFirestore} = require("firebase-admin/firestore");
+const {getFirestore, FieldValue, FieldPath, AggregateField, Timestamp} = require("firebase-admin/firestore");
+const {getAuth} = require("firebase-admin/auth");
 const logger = require("firebase-functions/logger");
 const {getStorage, getDownloadURL} = require("firebase-admin/storage");
 const crypto = require("crypto");
@@ -17,775 +21,6216 @@ const Busboy = require('busboy');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
+const {pipeline, finished} = require('stream/promises');
+const {headerLength, detectFileType, fileTypeForMimeType, findTypeMismatch} = require('./fileTypes');
+const {supportedMimeTypes, variantMimeType, renderImageVariants} = require('./imageVariants');
+const {inspectMaskPackage, appVersionCode} = require('./maskPackage');
+const {requestTimeoutMs: webhookTimeoutMs, sendEvent, attemptResult, replayResult} = require('./webhooks');
+const {
+   ruleActions,
+   defaultMaxLengths,
+   defaultSpamRules,
+   findBlockedTerms,
+   maskMatches,
+   countLinks,
+   comparableText
+} = require('./textModeration');
+const {findRequestErrors, buildOpenApiDocument} = require('./contracts');
 
 initializeApp();
 const db = getFirestore();
 const storage = getStorage()
 const bucket = storage.bucket();
+const auth = getAuth();
 
-exports.helloWorld = onRequest((request, response) => {
-   logger.info("Hello logs!", {structuredData: true});
-   response.send("Hello from Firebase!");
+const ratingMin = defineInt('RATING_MIN', {default: 1});
+const ratingMax = defineInt('RATING_MAX', {default: 5});
+
+/**
+ * Sends an error in the API's single error format: `{success: false, error, ...details}`.
+ * Responses from handlers wrapped by handleRequest also carry the request id.
+ */
+function sendError(res, status, message, details = {}) {
+   res.status(status).json({
+      success: false,
+      error: message,
+      ...details,
+      requestId: res.locals ? res.locals.requestId : undefined
+   });
+}
+
+const logRedactedFields = defineString('LOG_REDACTED_FIELDS', {
+   default: 'googleId,uploaderGoogleId,reporterGoogleId,recipientGoogleId,photoUrl,email,name,authorization,secret,token'
 });
+const logUserIdSalt = defineString('LOG_USER_ID_SALT', {default: ''});
 
-exports.createUser = onRequest(async (req, res) => {
-   logger.info('Got creating user request\n', req.body);
+// Upper bounds (ms) of the latency buckets counted in requestMetrics.
+const latencyBucketBounds = [100, 250, 500, 1000, 2500, 5000, 10000];
+// Each endpoint's hourly counters are spread over this many documents, so busy
+// endpoints stay under Firestore's sustained write rate for a single document.
+const requestMetricsShards = 10;
+// How long a response waits for its metrics write before it is sent anyway.
+const requestMetricsTimeoutMs = 2000;
 
-   if (req.method !== 'POST') {
-      logger.error('createUser: Method not allowed (expected POST)');
-      res.status(405).send('Method not allowed');
-      return;
-   }
+/**
+ * Returns a copy of a value for logging, with every field named in LOG_REDACTED_FIELDS
+ * replaced at any depth. Field names are matched case-insensitively.
+ */
+function redactForLog(value) {
+   const redacted = new Set(logRedactedFields.value().split(',').map(field => field.trim().toLowerCase()).filter(Boolean));
+   const redact = (item) => {
+      if (Array.isArray(item)) {
+         return item.map(redact);
+      }
+      if (item && typeof item === 'object' && !Buffer.isBuffer(item)) {
+         const copy = {};
+         Object.entries(item).forEach(([key, fieldValue]) => {
+            copy[key] = redacted.has(key.toLowerCase()) ? '[redacted]' : redact(fieldValue);
+         });
+         return copy;
+      }
+      return item;
+   };
+   return redact(value);
+}
 
-   const {googleId} = req.body;
+/**
+ * Hashes a googleId so log entries from one user can be grouped without naming them.
+ */
+function hashUserId(googleId) {
    if (!googleId) {
-      logger.error('createUser: Missing googleId');
-      res.status(400).send('Missing googleId');
-      return;
+      return null;
    }
+   return crypto.createHash('sha256').update(logUserIdSalt.value() + googleId).digest('hex').slice(0, 16);
+}
 
-   const {name} = req.body;
-   if (!name) {
-      logger.error('createUser: Missing name');
-      res.status(400).send('Missing name');
-      return;
-   }
+function latencyBucket(latencyMs) {
+   const bound = latencyBucketBounds.find(limit => latencyMs <= limit);
+   return bound ? `le${bound}` : 'over';
+}
 
-   const {photoUrl} = req.body;
+/**
+ * Adds a request to the hourly counters for its endpoint in `requestMetrics`, on a
+ * randomly picked shard. getRequestMetrics sums the shards.
+ */
+async function recordRequestMetrics(endpoint, status, latencyMs) {
+   const hour = new Date().toISOString().slice(0, 13);
+   const shard = crypto.randomInt(requestMetricsShards);
+   await db.collection('requestMetrics').doc(`${endpoint}_${hour}_${shard}`).set({
+      endpoint: endpoint,
+      hour: hour,
+      requests: FieldValue.increment(1),
+      clientErrors: FieldValue.increment(status >= 400 && status < 500 ? 1 : 0),
+      serverErrors: FieldValue.increment(status >= 500 ? 1 : 0),
+      totalLatencyMs: FieldValue.increment(latencyMs),
+      [`latencyBuckets.${latencyBucket(latencyMs)}`]: FieldValue.increment(1)
+   }, {merge: true});
+}
 
-   logger.info('createUser: Checking if user with googleId ', googleId, ' already exists');
-   const userRef = await db.collection('users').doc(googleId);
-   const user = await userRef.get();
-   if (user.exists) {
-      logger.error('createUser: User already exists');
-      res.status(400).send('User already exists');
+/**
+ * Wraps an HTTP handler with what every endpoint shares: a request id (taken from a
+ * well-formed X-Request-Id header or generated, and echoed in the response header and
+ * error bodies), one structured log entry per request with the endpoint, status,
+ * latency and hashed caller id, and the per-endpoint counters. Errors the handler does
+ * not catch are answered with a 500.
+ *
+ * The log entry and counters are written when the handler ends the response and
+ * before it is sent, since a function may be throttled as soon as it has answered.
+ * The counters get up to requestMetricsTimeoutMs.
+ */
+function handleRequest(endpoint, handler) {
+   return async (req, res) => {
+      const startedAt = process.hrtime.bigint();
+      const incomingId = req.get('X-Request-Id');
+      const requestId = incomingId && /^[\w-]{1,64}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+      res.locals.requestId = requestId;
+      res.set('X-Request-Id', requestId);
+
+      const sendEnd = res.end.bind(res);
+      let ending = null;
+      res.end = (...args) => {
+         res.end = sendEnd;
+         const latencyMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6);
+         const status = res.statusCode;
+         logger.write({
+            severity: status >= 500 ? 'ERROR' : status >= 400 ? 'WARNING' : 'INFO',
+            message: `${endpoint} ${req.method} ${status} ${latencyMs}ms`,
+            requestId: requestId,
+            endpoint: endpoint,
+            method: req.method,
+            status: status,
+            latencyMs: latencyMs,
+            userHash: hashUserId(res.locals.callerGoogleId),
+            query: redactForLog(req.query || {})
+         });
+
+         let timer;
+         const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${requestMetricsTimeoutMs}ms`)), requestMetricsTimeoutMs);
+         });
+         ending = Promise.race([recordRequestMetrics(endpoint, status, latencyMs), timeout])
+             .catch(error => logger.error(`${endpoint}: Error recording request metrics`, error))
+             .then(() => {
+                clearTimeout(timer);
+                sendEnd(...args);
+             });
+         return res;
+      };
+
+      try {
+         await handler(req, res);
+      } catch (error) {
+         logger.error(`${endpoint}: Unhandled error`, error);
+         if (!res.headersSent && !ending) {
+            sendError(res, 500, 'Internal error');
+         }
+      }
+      await res.locals.pendingResponse;
+      await ending;
+   };
+}
+
+/**
+ * Validates the request against the endpoint's contract in contracts.js.
+ * Returns true, or false after sending a 400 that lists every invalid field.
+ */
+function validateRequest(req, res, endpoint) {
+   const fieldErrors = findRequestErrors(endpoint, req);
+   if (fieldErrors) {
+      logger.error(`${endpoint}: Invalid request`, {fields: fieldErrors});
+      sendError(res, 400, 'Invalid request', {fields: fieldErrors});
+      return false;
    }
+   return true;
+}
 
-   logger.info('createUser: Creating user with googleId ', googleId);
-   const now = new Date().toISOString();
-   await db.collection('users').doc(googleId).set({
-      id: googleId,
-      name: name,
-      photoUrl: photoUrl,
-      canComment: true,
-      canUpload: true,
-      creationDate: now,
-      lastAccess: now
-   });
+/**
+ * Reads the Firebase ID token from the `Authorization: Bearer <idToken>` header.
+ * Returns null when the header is missing or malformed.
+ */
+function getBearerToken(req) {
+   const header = req.get('Authorization') || '';
+   const match = header.match(/^Bearer\s+(.+)$/i);
+   return match ? match[1].trim() : null;
+}
 
-   res.status(200).send('User created');
-});
+/**
+ * Verifies the caller's ID token and returns their identity.
+ * Users are keyed by their Google account id, so the google.com identity is
+ * preferred and the Firebase uid is used for accounts without one.
+ * On failure a 401 is sent and null is returned.
+ * When FIREBASE_AUTH_EMULATOR_HOST is set, tokens are verified against the Auth emulator.
+ */
+async function authenticate(req, res, endpoint) {
+   const idToken = getBearerToken(req);
+   if (!idToken) {
+      logger.error(`${endpoint}: Missing bearer token`);
+      sendError(res, 401, 'Missing bearer token');
+      return null;
+   }
 
-exports.getUser = onRequest(async (req, res) => {
-   logger.info('Got getting user request with params:', req.params);
-   if (req.method !== 'GET') {
-      logger.error('getUser: Method not allowed (expected GET)');
-      res.status(405).send('Method not allowed');
-      return;
+   try {
+      const decodedToken = await auth.verifyIdToken(idToken);
+      const identities = (decodedToken.firebase && decodedToken.firebase.identities) || {};
+      const googleIds = identities['google.com'] || [];
+      const googleId = googleIds[0] || decodedToken.uid;
+      res.locals.callerGoogleId = googleId;
+      return {
+         uid: decodedToken.uid,
+         googleId: googleId,
+         token: decodedToken
+      };
+   } catch (error) {
+      logger.error(`${endpoint}: Invalid ID token`, error);
+      sendError(res, 401, 'Invalid ID token');
+      return null;
    }
+}
 
-   const googleId = req.query.googleId;
-   if (!googleId) {
-      logger.error('getUser: Missing googleId');
-      res.status(400).send('Missing googleId');
-      return;
+/**
+ * Like authenticate, but lets requests without an Authorization header through.
+ * Returns undefined for anonymous callers and null after sending a 401 for bad tokens.
+ */
+async function authenticateOptional(req, res, endpoint) {
+   if (!req.get('Authorization')) {
+      return undefined;
    }
+   return authenticate(req, res, endpoint);
+}
 
-   logger.info('getUser: Getting user with googleId ', googleId);
-   const userRef = db.collection('users').doc(googleId);
-   const user = await userRef.get();
+/**
+ * Checks a googleId sent by the client against the authenticated caller.
+ * An empty value defaults to the caller; a different value is rejected with 403.
+ * Returns the googleId to use, or null after sending the error response.
+ */
+function resolveCallerGoogleId(caller, claimedGoogleId, res, endpoint, fieldName) {
+   if (claimedGoogleId === "" || claimedGoogleId == null) {
+      return caller.googleId;
+   }
 
-   if (!user.exists) {
-      logger.error('getUser: User not found');
-      res.status(200).json({});
-      return;
+   if (claimedGoogleId !== caller.googleId) {
+      logger.error(`${endpoint}: ${fieldName} does not match authenticated user`);
+      sendError(res, 403, `${fieldName} does not match authenticated user`);
+      return null;
    }
 
-   logger.info('getUser: User found, updating lastAccess');
-   const now = new Date().toISOString();
-   await userRef.update({
-      lastAccess: now
-   });
+   return claimedGoogleId;
+}
 
-   logger.info('getUser: Returning user data');
-   res.status(200).json(user.data());
-});
+async function isAdmin(googleId) {
+   const userDoc = await db.collection('users').doc(googleId).get();
+   return userDoc.exists && userDoc.data().isAdmin === true;
+}
 
-exports.uploadFile = onRequest(async (req, res) => {
-   logger.info('Got file upload request');
+/**
+ * Authenticates the caller and checks the `isAdmin` flag on their users document.
+ * Returns the caller, or null after sending 401/403.
+ */
+async function authenticateAdmin(req, res, endpoint) {
+   const caller = await authenticate(req, res, endpoint);
+   if (!caller) {
+      return null;
+   }
 
-   if (req.method !== 'POST') {
-      logger.error('uploadFile: Method not allowed (expected POST)');
-      res.status(405).send('Method not allowed');
-      return;
+   if (!(await isAdmin(caller.googleId))) {
+      logger.error(`${endpoint}: Caller is not an admin`);
+      sendError(res, 403, 'Admin access required');
+      return null;
    }
 
-   try {
-      const busboy = Busboy({
-         headers: req.headers,
-         limits: {
-            fileSize: 100 * 1024 * 1024,
-         }
-      });
-      const uploads = [];
-      const fields = {};
-      const tmpdir = os.tmpdir();
+   return caller;
+}
 
-      busboy.on('field', (fieldname, val) => {
-         logger.info(`Processing field: ${fieldname}`);
-         fields[fieldname] = val;
-      });
+const idempotencyKeyHours = defineInt('IDEMPOTENCY_KEY_HOURS', {default: 24});
+// How long a claimed key blocks other requests if its request never finishes.
+const idempotencyLockSeconds = 10 * 60;
+const idempotencyWaitMs = 10 * 1000;
+const idempotencyPollMs = 500;
 
-      busboy.on('file', (fieldname, fileStream, fileInfo) => {
-         logger.info(`Processing file: ${fileInfo.filename}, type: ${fileInfo.mimeType}`);
+function idempotencyKeyRef(googleId, endpoint, key) {
+   const keyHash = crypto.createHash('sha256').update(`${googleId}\n${endpoint}\n${key}`).digest('hex');
+   return db.collection('idempotencyKeys').doc(keyHash);
+}
 
-         const uniqueFilename = `${crypto.randomUUID()}-${fileInfo.filename}`;
-         const filepath = path.join(tmpdir, uniqueFilename);
-         const writeStream = fs.createWriteStream(filepath);
+function requestFingerprint(req) {
+   return crypto.createHash('sha256').update(req.rawBody || JSON.stringify(req.body || {})).digest('hex');
+}
 
-         const uploadPromise = new Promise((resolve, reject) => {
-            fileStream.pipe(writeStream)
-                .on('error', error => {
-                   fileStream.resume();
-                   reject(error);
-                });
+/**
+ * Fingerprint for a multipart upload. The raw body changes with the multipart
+ * boundary on every retry, so this hashes the parsed fields and each file's name,
+ * field and SHA-256 instead.
+ */
+function multipartFingerprint(fields, files) {
+   const parts = {
+      fields: Object.keys(fields).sort().map(name => [name, fields[name]]),
+      files: files.map(file => [file.fieldname, file.originalName, file.contentHash])
+   };
+   return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
 
-            writeStream.on('error', error => {
-               fileStream.resume();
-               reject(error);
-            });
+/**
+ * Makes a POST endpoint safe to retry when the client sends an `Idempotency-Key`
+ * header. Keys are scoped to the caller and endpoint and kept for IDEMPOTENCY_KEY_HOURS
+ * (`expiresAt` is the TTL field of `idempotencyKeys`).
+ *
+ * The first request claims the key, and its response is stored before it is sent.
+ * A retry with the same body gets the stored response back; one that arrives while the
+ * first is still running waits for it for up to idempotencyWaitMs. A different body
+ * under the same key gets a 409. Server errors and rate-limit responses are not
+ * stored, so those requests can be retried with the same key.
+ *
+ * `fingerprint` identifies the request body and defaults to a hash of the raw body.
+ *
+ * Returns true when the handler should go on, or false after the request was answered.
+ */
+async function claimIdempotencyKey(req, res, endpoint, caller, fingerprint = requestFingerprint(req)) {
+   const key = req.get('Idempotency-Key');
+   if (key === undefined) {
+      return true;
+   }
 
-            writeStream.on('finish', async () => {
-               let options;
-               try {
-                  options = {
-                     destination: uniqueFilename,
-                     metadata: {
-                        contentType: fileInfo.mimeType,
-                        metadata: {
-                           originalName: fileInfo.filename
-                        }
-                     }
-                  }
-                  const [uploadedFile] = await bucket.upload(filepath, options);
-
-                  await uploadedFile.makePublic();
-                  const downloadUrl = await getDownloadURL(uploadedFile);
-
-                  fs.unlink(filepath, (err) => {
-                     if (err) logger.error('Error removing temp file:', err);
-                  });
-
-                  resolve({
-                     fieldname,
-                     originalName: fileInfo.filename,
-                     url: downloadUrl
-                  });
-               } catch (error) {
-                  reject(error);
-               }
-            });
-         });
+   if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+      logger.error(`${endpoint}: Invalid Idempotency-Key`);
+      sendError(res, 400, 'Idempotency-Key must be 1 to 255 printable ASCII characters');
+      return false;
+   }
 
-         uploads.push(uploadPromise);
-      })
+   const keyRef = idempotencyKeyRef(caller.googleId, endpoint, key);
+   const deadline = Date.now() + idempotencyWaitMs;
 
-      const uploadComplete = new Promise((resolve, reject) => {
-         busboy.on('finish', () => {
-            logger.info('Busboy finished processing');
-            Promise.all(uploads)
-                .then(uploadResults => {
-                   resolve({ fields, files: uploadResults });
-                })
-                .catch(reject);
-         });
+   for (;;) {
+      const stored = await db.runTransaction(async (transaction) => {
+         const keyDoc = await transaction.get(keyRef);
+         const now = Date.now();
+         const existing = keyDoc.exists ? keyDoc.data() : null;
+         if (existing && existing.expiresAt.toMillis() > now
+             && (existing.status === 'completed' || existing.lockedUntil > now)) {
+            return existing;
+         }
 
-         busboy.on('error', error => {
-            logger.error('Busboy encountered an error:', error);
-            reject(error);
+         transaction.set(keyRef, {
+            googleId: caller.googleId,
+            endpoint: endpoint,
+            fingerprint: fingerprint,
+            status: 'inProgress',
+            lockedUntil: now + idempotencyLockSeconds * 1000,
+            createdOn: new Date(now).toISOString(),
+            expiresAt: Timestamp.fromMillis(now + idempotencyKeyHours.value() * 60 * 60 * 1000)
          });
+         return null;
       });
 
-      busboy.end(req.rawBody);
-
-      const result = await uploadComplete;
+      if (!stored) {
+         break;
+      }
 
-      logger.info('uploadFile: Files uploaded successfully', result);
-      res.status(200).json(result);
+      if (stored.fingerprint !== fingerprint) {
+         logger.error(`${endpoint}: Idempotency-Key reused with a different request`);
+         sendError(res, 409, 'Idempotency-Key was already used with a different request', {rule: 'idempotencyKeyReused'});
+         return false;
+      }
 
-   } catch (error) {
-      logger.error('uploadFile: Error uploading file', error);
-      if (error.code === 'LIMIT_FILE_SIZE') {
-         res.status(413).json({ error: 'File too large' });
-      } else {
-         res.status(500).json({ error: 'Error uploading file' });
+      if (stored.status === 'completed') {
+         logger.info(`${endpoint}: Replaying stored response for Idempotency-Key`);
+         res.set('Idempotent-Replayed', 'true');
+         res.status(stored.responseStatus).json(stored.responseBody);
+         return false;
       }
-   }
-});
 
-exports.createMask = onRequest(async (req, res) => {
-   logger.info('Got create mask request');
+      if (Date.now() >= deadline) {
+         logger.error(`${endpoint}: Request with the same Idempotency-Key still in progress`);
+         res.set('Retry-After', String(Math.ceil(idempotencyPollMs / 1000)));
+         sendError(res, 409, 'A request with this Idempotency-Key is still in progress', {rule: 'idempotencyKeyInProgress'});
+         return false;
+      }
 
-   if (req.method !== 'POST') {
-      logger.error('createMask: Method not allowed (expected POST)');
-      res.status(405).send('Method not allowed');
-      return;
+      await new Promise(resolve => setTimeout(resolve, idempotencyPollMs));
    }
 
-   try {
-      const {
-         maskUrl,
-         name,
-         description,
-         images,
-         tags,
-         uploaderGoogleId
-      } = req.body;
+   // Hold the response until it is stored, so a retry cannot miss it. handleRequest
+   // waits for res.locals.pendingResponse before the request counts as done.
+   const sendJson = res.json.bind(res);
+   res.json = (body) => {
+      res.json = sendJson;
+      const status = res.statusCode;
+      const store = status >= 500 || status === 429
+          ? keyRef.delete()
+          : keyRef.update({
+             status: 'completed',
+             responseStatus: status,
+             responseBody: JSON.parse(JSON.stringify(body)),
+             completedOn: new Date().toISOString()
+          });
+      res.locals.pendingResponse = store
+          .catch(error => logger.error(`${endpoint}: Error storing response for Idempotency-Key`, error))
+          .then(() => {
+             sendJson(body);
+          });
+      return res;
+   };
 
-      if (maskUrl === "" || maskUrl == null) {
-            logger.error('createMask: maskUrl is empty');
-            res.status(400).send('maskUrl is empty');
-            return;
-      }
+   return true;
+}
 
-      if (name === "" || name == null) {
-            logger.error('createMask: name is empty');
-            res.status(400).send('name is empty');
-            return;
-      }
+// Limits per endpoint, keyed by the caller's googleId ('user') or hashed IP address ('ip').
+// RATE_LIMITS can override any endpoint's list with JSON in the same shape.
+const defaultRateLimits = {
+   postComment: [
+      {scope: 'user', limit: 5, windowSeconds: 60},
+      {scope: 'ip', limit: 20, windowSeconds: 60}
+   ],
+   postRating: [
+      {scope: 'user', limit: 30, windowSeconds: 60},
+      {scope: 'ip', limit: 100, windowSeconds: 60}
+   ],
+   postReport: [
+      {scope: 'user', limit: 20, windowSeconds: 24 * 60 * 60},
+      {scope: 'ip', limit: 50, windowSeconds: 24 * 60 * 60}
+   ],
+   createMask: [
+      {scope: 'user', limit: 10, windowSeconds: 60 * 60},
+      {scope: 'ip', limit: 30, windowSeconds: 60 * 60}
+   ],
+   uploadFile: [
+      {scope: 'user', limit: 30, windowSeconds: 60 * 60},
+      {scope: 'ip', limit: 60, windowSeconds: 60 * 60}
+   ],
+   createUploadSession: [
+      {scope: 'user', limit: 30, windowSeconds: 60 * 60},
+      {scope: 'ip', limit: 60, windowSeconds: 60 * 60}
+   ]
+};
+const rateLimitOverrides = defineString('RATE_LIMITS', {default: '{}'});
 
-      if (uploaderGoogleId === "" || uploaderGoogleId == null) {
-            logger.error('createMask: uploaderGoogleId is empty');
-            res.status(400).send('uploaderGoogleId is empty');
-            return;
-      }
+function rateLimitsFor(endpoint) {
+   let overrides = {};
+   try {
+      overrides = JSON.parse(rateLimitOverrides.value() || '{}');
+   } catch (error) {
+      logger.error('RATE_LIMITS is not valid JSON, using the default limits', error);
+   }
+   return overrides[endpoint] || defaultRateLimits[endpoint] || [];
+}
 
-      if (images === "" || images == null) {
-            logger.error('createMask: images is empty');
-            res.status(400).send('images is empty');
-            return;
-      }
+/**
+ * Returns the address the request came from. Google's front end appends the client
+ * address to X-Forwarded-For, so only the last entry can be trusted; anything before
+ * it was sent by the client.
+ */
+function clientIp(req) {
+   const forwardedFor = (req.get('X-Forwarded-For') || '').split(',').map(entry => entry.trim()).filter(Boolean);
+   return forwardedFor.length > 0
+       ? forwardedFor[forwardedFor.length - 1]
+       : (req.socket && req.socket.remoteAddress) || req.ip;
+}
 
-      const userRef = await db.collection('users').doc(uploaderGoogleId).get();
-      if (!userRef.exists) {
-         logger.error('createMask: User not found');
-         res.status(404).send('User not found');
-         return;
-      }
+/**
+ * Counts the request against each of the endpoint's fixed-window limits. Counters
+ * live in `rateLimits` so every function instance shares them, and are only
+ * incremented when no limit is exceeded. Returns true, or false after sending a
+ * 429 with Retry-After set to when the fullest window resets.
+ */
+async function enforceRateLimits(req, res, endpoint, caller) {
+   const limits = rateLimitsFor(endpoint);
+   if (limits.length === 0) {
+      return true;
+   }
 
-      if (!userRef.data().canUpload) {
-         logger.error('createMask: User cannot upload');
-         res.status(403).send('User is not allowed to upload');
-         return;
-      }
+   const keys = {
+      user: caller.googleId,
+      ip: crypto.createHash('sha256').update(String(clientIp(req))).digest('hex').slice(0, 32)
+   };
+   const nowMillis = Date.now();
+   const counters = limits.map(rule => ({
+      rule: rule,
+      ref: db.collection('rateLimits').doc(`${endpoint}_${rule.scope}_${rule.windowSeconds}_${keys[rule.scope]}`),
+      key: keys[rule.scope]
+   }));
 
-      const masksSnapshot = await db.collection('masks').orderBy('id').get();
-      let nextId = 0;
+   const retryAfterSeconds = await db.runTransaction(async (transaction) => {
+      const counterDocs = await transaction.getAll(...counters.map(counter => counter.ref));
+      let retryAfter = 0;
 
-      masksSnapshot.forEach(doc => {
-         const maskData = doc.data();
-         if (maskData.id === nextId) {
-            nextId++;
+      const updates = counters.map((counter, index) => {
+         const windowMillis = counter.rule.windowSeconds * 1000;
+         const stored = counterDocs[index].exists ? counterDocs[index].data() : null;
+         const current = stored && nowMillis < stored.windowStart + windowMillis
+             ? stored
+             : {windowStart: nowMillis, count: 0};
+
+         if (current.count >= counter.rule.limit) {
+            retryAfter = Math.max(retryAfter, Math.ceil((current.windowStart + windowMillis - nowMillis) / 1000));
          }
-      });
 
-      const now = new Date().toISOString();
-      const maskData = {
-         id: nextId,
-         maskUrl: maskUrl,
-         maskName: name,
-         description: description || '',
-         images: images,
-         tags: tags || [],
-         uploaderGoogleId:uploaderGoogleId,
-         averageRating: 0,
-         ratingsCount: 0,
-         uploadedOn: now,
-         lastAccessedOn: now,
-         isRemoved: false
-      };
+         return {
+            endpoint: endpoint,
+            scope: counter.rule.scope,
+            key: counter.key,
+            limit: counter.rule.limit,
+            windowSeconds: counter.rule.windowSeconds,
+            windowStart: current.windowStart,
+            count: current.count + 1,
+            expiresAt: Timestamp.fromMillis(current.windowStart + windowMillis)
+         };
+      });
 
-      await db.collection('masks').doc(nextId.toString()).set(maskData);
+      if (retryAfter > 0) {
+         return retryAfter;
+      }
 
-      logger.info('createMask: Mask created successfully with ID:', nextId);
-      res.status(200).json({
-         success: true,
-         maskId: nextId
-      });
+      counters.forEach((counter, index) => transaction.set(counter.ref, updates[index]));
+      return 0;
+   });
 
-   } catch (error) {
-      logger.error('createMask: Error creating mask', error);
-      res.status(500).json({
-         success: false,
-         error: 'Error creating mask: ' + error
-      });
+   if (retryAfterSeconds > 0) {
+      logger.error(`${endpoint}: Rate limit exceeded`);
+      res.set('Retry-After', String(retryAfterSeconds));
+      sendError(res, 429, 'Too many requests', {retryAfter: retryAfterSeconds});
+      return false;
    }
-});
 
-exports.getMask = onRequest(async (req, res) => {
-   logger.info('Got getting mask request');
+   return true;
+}
 
-   if (req.method !== 'GET') {
-      logger.error('getMask: Method not allowed (expected GET)');
-      res.status(405).send('Method not allowed');
-      return;
+/**
+ * Deletes every document matched by a query, a batch at a time so large result sets
+ * stay within Firestore's batch limits. Returns the number of documents deleted.
+ */
+async function deleteQueryInBatches(query, batchSize = 400) {
+   let deleted = 0;
+   for (;;) {
+      const snapshot = await query.limit(batchSize).get();
+      if (snapshot.empty) {
+         return deleted;
+      }
+
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+      deleted += snapshot.size;
    }
+}
 
-   try {
-      const maskId = req.query.maskId;
-      if (maskId === "" || maskId == null) {
-         logger.error('getMask: maskId is empty');
-         res.status(400).send('maskId is empty');
-         return;
+/**
+ * Applies the same update to every document matched by a query, a batch at a time.
+ * `changes` may be a function of the document. Returns the number of documents updated.
+ */
+async function updateQueryInBatches(query, changes, batchSize = 400) {
+   let updated = 0;
+   let lastDoc = null;
+   for (;;) {
+      let page = query.limit(batchSize);
+      if (lastDoc) {
+         page = page.startAfter(lastDoc);
       }
 
-      const maskRef = await db.collection('masks').doc(maskId.toString()).get();
-      if (!maskRef.exists) {
-         logger.error('getMask: Mask not found');
-         res.status(404).send('Mask not found');
-         return;
+      const snapshot = await page.get();
+      if (snapshot.empty) {
+         return updated;
       }
 
-      const maskData = maskRef.data();
-      logger.info('getMask: Mask retrieved successfully');
-      res.status(200).json(maskData);
-   } catch (error) {
-      logger.error('getMask: Error getting mask', error);
-      res.status(500).json({
-         success: false,
-         error: 'Error getting mask: ' + error
-      });
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => batch.update(doc.ref, typeof changes === 'function' ? changes(doc) : changes));
+      await batch.commit();
+      updated += snapshot.size;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
    }
-});
-
-exports.getMasks = onRequest(async (req, res) => {
-   logger.info('Got getting masks request');
+}
 
-   if (req.method !== 'GET') {
-      logger.error('getMasks: Method not allowed (expected GET)');
-      res.status(405).send('Method not allowed');
-      return;
+/**
+ * Returns the object path for a download or public URL that points into our bucket,
+ * or null for URLs stored elsewhere.
+ */
+function objectPathFromUrl(url) {
+   if (typeof url !== 'string' || url === '') {
+      return null;
    }
 
+   let parsed;
    try {
-      let {
-         limit,
-         orderBy,
-         orderDirection,
-         lastId
-      } = req.query;
+      parsed = new URL(url);
+   } catch (error) {
+      return null;
+   }
 
-      logger.info('Query params:', { limit, orderBy, orderDirection, lastId});
+   // Firebase download URLs (also used by the Storage emulator): /v0/b/<bucket>/o/<encoded path>
+   const downloadMatch = parsed.pathname.match(/^\/v0\/b\/([^/]+)\/o\/(.+)$/);
+   if (downloadMatch) {
+      return downloadMatch[1] === bucket.name ? decodeURIComponent(downloadMatch[2]) : null;
+   }
 
-      limit = parseInt(limit) || 6;
+   // Public URLs: https://storage.googleapis.com/<bucket>/<path>
+   const publicPrefix = `/${bucket.name}/`;
+   if (parsed.hostname === 'storage.googleapis.com' && parsed.pathname.startsWith(publicPrefix)) {
+      return decodeURIComponent(parsed.pathname.slice(publicPrefix.length));
+   }
 
-      if (orderBy !== 'ratingsCount' && orderBy !== 'uploadedOn' && orderBy !== 'averageRating' && orderBy !== 'maskName') {
-         orderBy = 'ratingsCount';
-      }
+   return null;
+}
 
-      if (orderDirection !== 'asc' && orderDirection !== 'desc') {
-         orderDirection = 'desc';
-      } else {
-         orderDirection = orderDirection.toLowerCase();
-      }
+/**
+ * Deletes the objects at the given paths in our bucket, along with the uploadHashes,
+ * imageVariants and maskPackages records that would otherwise hand their URLs out
+ * again. Objects that are already gone are skipped.
+ */
+async function deleteStoragePaths(paths) {
+   await Promise.all(paths.map(objectPath => bucket.file(objectPath).delete({ignoreNotFound: true})));
 
-      const masksRef = db.collection('masks');
-      let masksQuery = masksRef.where('isRemoved', '==', false)
-          .orderBy(orderBy, orderDirection);
+   // 'in' filters take at most 30 values.
+   for (let start = 0; start < paths.length; start += 30) {
+      const chunk = paths.slice(start, start + 30);
+      await deleteQueryInBatches(db.collection('uploadHashes').where('path', 'in', chunk));
+      await deleteQueryInBatches(db.collection('imageVariants').where('path', 'in', chunk));
+      await deleteQueryInBatches(db.collection('maskPackages').where('path', 'in', chunk));
+   }
 
-      if (lastId) {
-         logger.info('Starting after ID:', lastId);
-         const lastDoc = await masksRef.doc(lastId).get();
-         if (lastDoc.exists) {
-            masksQuery = masksQuery.startAfter(lastDoc);
-         }
-      }
+   return paths;
+}
 
-      masksQuery = masksQuery.limit(limit);
+/**
+ * Hands out the next integer id for a collection from its document in `counters`.
+ * Must run inside a transaction before any of its writes. The first call seeds the
+ * counter from the highest id already stored, so existing ids are never reused.
+ */
+async function allocateId(transaction, collectionName) {
+   const counterRef = db.collection('counters').doc(collectionName);
+   const counterDoc = await transaction.get(counterRef);
 
-      const masksSnapshot = await masksQuery.get();
-      const masks = [];
-      masksSnapshot.forEach(doc => {
-         masks.push(doc.data());
-      });
+   let nextId;
+   if (counterDoc.exists) {
+      nextId = counterDoc.data().nextId;
+   } else {
+      const lastSnapshot = await transaction.get(db.collection(collectionName).orderBy('id', 'desc').limit(1));
+      nextId = lastSnapshot.empty ? 0 : lastSnapshot.docs[0].data().id + 1;
+   }
 
-      logger.info(`getMasks: Retrieved ${masks.length} masks`);
+   transaction.set(counterRef, {nextId: nextId + 1});
+   return nextId;
+}
 
-      const lastDoc = masksSnapshot.docs[masksSnapshot.docs.length - 1];
-      const nextId = lastDoc ? lastDoc.id : null;
+// orderBy values accepted by the mask listings and the field each one sorts on.
+const maskOrderFields = {
+   ratingsCount: 'ratingsCount',
+   uploadedOn: 'uploadedOn',
+   averageRating: 'averageRating',
+   maskName: 'maskName',
+   trending: 'trendingScore',
+   topRated: 'topRatedScore'
+};
 
-      res.status(200).json({
-         masks: masks,
-         lastId: nextId
-      });
-   } catch (error) {
-      logger.error('getMasks: Error getting masks', error);
-      res.status(500).json({
-         success: false,
-         error: 'Error getting masks: ' + error
-      });
-   }
-});
+/**
+ * Maps orderBy to the field to sort on, falling back to the default order for
+ * unknown values or directions.
+ */
+function normalizeMaskOrder(orderBy, orderDirection, defaultOrder = 'ratingsCount') {
+   return {
+      orderBy: maskOrderFields[Object.hasOwn(maskOrderFields, orderBy) ? orderBy : defaultOrder],
+      orderDirection: orderDirection === 'asc' ? 'asc' : 'desc'
+   };
+}
 
-exports.postRating = onRequest(async (req, res) => {
-   logger.info('Got post rating request');
+const trendingHalfLifeHours = defineInt('TRENDING_HALF_LIFE_HOURS', {default: 48});
+const trendingEpoch = Date.parse('2024-01-01T00:00:00Z');
+const trendingUseWeight = 1;
+const trendingRatingWeight = 2;
+const topRatedPriorWeight = defineInt('TOP_RATED_PRIOR_WEIGHT', {default: 5});
 
-   if (req.method !== 'POST') {
-      logger.error('postRating: Method not allowed (expected POST)');
-      res.status(405).send('Method not allowed');
-      return;
+/**
+ * Log of an event's weight, grown by how far after trendingEpoch it happened.
+ * Instead of decaying every stored score over time, newer events count exponentially
+ * more: comparing sum(weight * 2^(t / halfLife)) ranks masks exactly like their
+ * decayed scores would at any moment. Logs keep the values from overflowing.
+ * Changing the half-life only affects events recorded afterwards.
+ */
+function trendingEventScore(time, weight) {
+   const hours = (new Date(time).getTime() - trendingEpoch) / (60 * 60 * 1000);
+   return Math.log(weight) + Math.LN2 * hours / trendingHalfLifeHours.value();
+}
+
+/**
+ * Adds an event to a stored trendingScore (log-sum-exp of its event scores).
+ */
+function addTrendingEvent(trendingScore, time, weight) {
+   const eventScore = trendingEventScore(time, weight);
+   if (typeof trendingScore !== 'number') {
+      return eventScore;
    }
 
-   try {
-      const {
-         maskId,
-         googleId,
-         rating
-      } = req.body;
+   const high = Math.max(trendingScore, eventScore);
+   const low = Math.min(trendingScore, eventScore);
+   return high + Math.log1p(Math.exp(low - high));
+}
 
-      if (maskId === "" || maskId == null) {
-         logger.error('postRating: maskId is empty');
-         res.status(400).send('maskId is empty');
-         return;
-      }
+/**
+ * Bayesian average of a mask's ratings: the votes are blended with
+ * topRatedPriorWeight imaginary votes at the middle of the rating range,
+ * so a single 5-star vote does not outrank many 4-star ones.
+ */
+function topRatedScore(averageRating, ratingsCount) {
+   const priorMean = (ratingMin.value() + ratingMax.value()) / 2;
+   const priorWeight = topRatedPriorWeight.value();
+   return (priorMean * priorWeight + averageRating * ratingsCount) / (priorWeight + ratingsCount);
+}
 
-      if (googleId === "" || googleId == null) {
-         logger.error('postRating: googleId is empty');
-         res.status(400).send('googleId is empty');
-         return;
-      }
+/**
+ * Ranking fields for masks stored before trending and topRated existed.
+ */
+function missingRankingFields(maskData) {
+   const fields = {};
+   if (typeof maskData.trendingScore !== 'number') {
+      fields.trendingScore = trendingEventScore(maskData.uploadedOn || new Date().toISOString(), trendingUseWeight);
+   }
+   if (typeof maskData.topRatedScore !== 'number') {
+      fields.topRatedScore = topRatedScore(maskData.averageRating || 0, maskData.ratingsCount || 0);
+   }
+   return fields;
+}
 
-      if (rating === "" || rating == null) {
-         logger.error('postRating: rating is empty');
-         res.status(400).send('rating is empty');
-         return;
-      }
+/**
+ * Lowercases text and strips diacritics so "Crâne" and "crane" match.
+ */
+function normalizeSearchText(text) {
+   return String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
 
-      const maskDocId = String(maskId);
+function searchTokensOf(text) {
+   return normalizeSearchText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
 
-      const maskRef = await db.collection('masks').doc(maskDocId).get();
-      if (!maskRef.exists) {
-         logger.error('postRating: Mask not found');
-         res.status(404).send('Mask not found');
-         return;
-      }
+const maxSearchPrefixLength = 30;
 
-      const userRef = await db.collection('users').doc(googleId).get();
-      if (!userRef.exists) {
-         logger.error('postRating: User not found');
-         res.status(404).send('User not found');
-         return;
+/**
+ * Builds the normalized fields searchMasks queries on:
+ * - maskNameLower: the whole name, for exact lookups
+ * - searchTokens: every prefix of the name and of each word in it, so a single
+ *   array-contains matches both name prefixes and word prefixes
+ * - tagsLower: the deduplicated, normalized tags
+ */
+function maskSearchFields(name, tags) {
+   const maskNameLower = normalizeSearchText(name);
+   const prefixes = new Set();
+   const addPrefixes = (text) => {
+      const limit = Math.min(text.length, maxSearchPrefixLength);
+      for (let length = 1; length <= limit; length++) {
+         prefixes.add(text.slice(0, length));
       }
+   };
 
-      if (!userRef.data().canComment) {
-         logger.error('postRating: User cannot comment');
-         res.status(403).send('User is not allowed to comment');
-         return;
-      }
+   addPrefixes(maskNameLower);
+   searchTokensOf(name).forEach(addPrefixes);
 
-      const ratingsSnapshot = await db.collection('ratings').where('maskId', '==', maskId).where('googleId', '==', googleId).get();
-      if (!ratingsSnapshot.empty) {
-         const now = new Date().toISOString();
+   const tagsLower = Array.isArray(tags)
+       ? [...new Set(tags.map(tag => normalizeSearchText(tag)).filter(Boolean))]
+       : [];
 
-         await db.collection('ratings').doc(ratingsSnapshot.docs[0].id).update({
-            rating: rating,
-            postedOn: now
-         });
-         logger.info('postRating: Rating updated successfully');
-      } else {
-         const now = new Date().toISOString();
-         const ratingData = {
-            maskId: maskDocId,
-            googleId: googleId,
-            rating: rating,
-            postedOn: now
-         };
+   return {
+      maskNameLower: maskNameLower,
+      searchTokens: [...prefixes],
+      tagsLower: tagsLower
+   };
+}
 
-         await db.collection('ratings').add(ratingData);
-         logger.info('postRating: Rating posted successfully');
-      }
+function isValidRating(rating) {
+   return Number.isInteger(rating) && rating >= ratingMin.value() && rating <= ratingMax.value();
+}
 
-      const ratings = await db.collection('ratings').where('maskId', '==', maskDocId).get();
-      let totalRating = 0;
-      let ratingCount = 0;
-      ratings.forEach(doc => {
-         const ratingData = doc.data();
-         totalRating += ratingData.rating;
-         ratingCount++;
-      });
-      const averageRating = totalRating / ratingCount;
-      await db.collection('masks').doc(maskDocId).update({
-         averageRating: averageRating,
-         ratingsCount: ratingCount
-      });
-      logger.info('postRating: Average rating updated successfully');
+function emptyRatingHistogram() {
+   const histogram = {};
+   for (let star = ratingMin.value(); star <= ratingMax.value(); star++) {
+      histogram[star] = 0;
+   }
+   return histogram;
+}
 
-      res.status(200).json({
-         success: true
-      })
-   } catch (error) {
-      logger.error('postRating: Error posting rating', error);
-      res.status(500).json({
-         success: false,
-         error: 'Error posting rating: ' + error
-      });
+/**
+ * Returns a copy of the mask's per-star rating histogram. Masks created before the
+ * histogram existed get theirs built once from the ratings collection, inside the
+ * same transaction. Stored values that are not valid ratings are left out.
+ */
+async function readRatingHistogram(transaction, maskDoc) {
+   const stored = maskDoc.data().ratingHistogram;
+   if (stored) {
+      return {...stored};
    }
-});
 
-exports.getRating = onRequest(async (req, res) => {
-   logger.info('Got getting rating request');
+   const histogram = emptyRatingHistogram();
+   const ratingsSnapshot = await transaction.get(db.collection('ratings').where('maskId', '==', maskDoc.id));
+   ratingsSnapshot.forEach(doc => {
+      const value = Number(doc.data().rating);
+      if (isValidRating(value)) {
+         histogram[value] = (histogram[value] || 0) + 1;
+      }
+   });
+   return histogram;
+}
 
-    if (req.method !== 'GET') {
-        logger.error('getRating: Method not allowed (expected GET)');
-        res.status(405).send('Method not allowed');
-        return;
-    }
+/**
+ * Derives the mask's aggregate rating fields from its histogram.
+ */
+function ratingAggregates(histogram) {
+   let totalRating = 0;
+   let ratingsCount = 0;
+   Object.entries(histogram).forEach(([star, count]) => {
+      totalRating += Number(star) * count;
+      ratingsCount += count;
+   });
 
-    try {
-        const maskId = req.query.maskId;
-        if (maskId === "" || maskId == null) {
-            logger.error('getRating: maskId is empty');
-            res.status(400).send('maskId is empty');
-            return;
-        }
+   const averageRating = ratingsCount > 0 ? totalRating / ratingsCount : 0;
+   return {
+      ratingHistogram: histogram,
+      ratingsCount: ratingsCount,
+      averageRating: averageRating,
+      topRatedScore: topRatedScore(averageRating, ratingsCount)
+   };
+}
 
-        const googleId = req.query.googleId;
-        if (googleId === "" || googleId == null) {
-            logger.error('getRating: googleId is empty');
-            res.status(400).send('googleId is empty');
-            return;
-        }
+/**
+ * Deletes a user's rating of a mask and takes it back out of the mask's aggregates
+ * in one transaction. Returns false when there was no rating to remove.
+ */
+async function removeRating(maskDocId, googleId) {
+   const maskDocRef = db.collection('masks').doc(maskDocId);
+   const ratingsQuery = db.collection('ratings').where('maskId', '==', maskDocId).where('googleId', '==', googleId);
 
-        const maskDocId = String(maskId);
+   return db.runTransaction(async (transaction) => {
+      const maskDoc = await transaction.get(maskDocRef);
+      if (!maskDoc.exists) {
+         return false;
+      }
 
-        const maskRef = await db.collection('masks').doc(maskDocId).get();
-        if (!maskRef.exists) {
-            logger.error('getRating: Mask not found');
-            res.status(404).send('Mask not found');
-            return;
-        }
+      const ratingsSnapshot = await transaction.get(ratingsQuery);
+      if (ratingsSnapshot.empty) {
+         return false;
+      }
 
-        const userRef = await db.collection('users').doc(googleId).get();
-        if (!userRef.exists) {
-            logger.error('getRating: User not found');
-            res.status(404).send('User not found');
-            return;
-        }
+      const histogram = await readRatingHistogram(transaction, maskDoc);
+      ratingsSnapshot.forEach(doc => {
+         removeFromHistogram(histogram, doc.data().rating);
+         transaction.delete(doc.ref);
+      });
 
-        const ratingsSnapshot = await db.collection('ratings').where('maskId', '==', maskId).where('googleId', '==', googleId).get();
-        if (ratingsSnapshot.empty) {
-            logger.error('getRating: Rating not found');
-            res.status(404).send('Rating not found');
-            return;
-        }
+      transaction.update(maskDocRef, ratingAggregates(histogram));
+      return true;
+   });
+}
 
-        const ratingData = ratingsSnapshot.docs[0].data();
-        logger.info('getRating: Rating retrieved successfully');
-        res.status(200).json(ratingData);
-    } catch (error) {
-        logger.error('getRating: Error getting rating', error);
-        res.status(500).json({
-            success: false,
-            error: 'Error getting rating: ' + error
-        });
-    }
-});
+/**
+ * Takes a stored rating value back out of a histogram, ignoring values it never counted.
+ */
+function removeFromHistogram(histogram, rating) {
+   const value = Number(rating);
+   if (isValidRating(value) && histogram[value] > 0) {
+      histogram[value]--;
+   }
+}
 
-exports.postComment = onRequest(async (req, res) => {
-   logger.info('Got post comment request');
+exports.helloWorld = onRequest(handleRequest('helloWorld', (request, response) => {
+   logger.info("Hello logs!", {structuredData: true});
+   response.send("Hello from Firebase!");
+}));
 
-    if (req.method !== 'POST') {
-        logger.error('postComment: Method not allowed (expected POST)');
-        res.status(405).send('Method not allowed');
-        return;
-    }
+exports.createUser = onRequest(handleRequest('createUser', async (req, res) => {
+   logger.info('Got creating user request', {body: redactForLog(req.body)});
 
-    try {
-        const {
-            maskId,
-            googleId,
-            comment
-        } = req.body;
+   if (req.method !== 'POST') {
+      logger.error('createUser: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
 
-        if (maskId === "" || maskId == null) {
-            logger.error('postComment: maskId is empty');
-            res.status(400).send('maskId is empty');
-            return;
-        }
+   if (!validateRequest(req, res, 'createUser')) {
+      return;
+   }
 
-        if (googleId === "" || googleId == null) {
-            logger.error('postComment: googleId is empty');
-            res.status(400).send('googleId is empty');
-            return;
-        }
+   const caller = await authenticate(req, res, 'createUser');
+   if (!caller) {
+      return;
+   }
 
-        if (comment === "" || comment == null) {
-            logger.error('postComment: comment is empty');
-            res.status(400).send('comment is empty');
-            return;
-        }
+   const googleId = resolveCallerGoogleId(caller, req.body.googleId, res, 'createUser', 'googleId');
+   if (!googleId) {
+      return;
+   }
 
-        const maskDocId = String(maskId);
+   const {name} = req.body;
+   if (!name) {
+      logger.error('createUser: Missing name');
+      sendError(res, 400, 'Missing name');
+      return;
+   }
 
-        const maskRef = await db.collection('masks').doc(maskDocId).get();
-        if (!maskRef.exists) {
-            logger.error('postComment: Mask not found');
-            res.status(404).send('Mask not found');
-            return;
-        }
+   const {photoUrl} = req.body;
 
-        const userRef = await db.collection('users').doc(googleId).get();
-        if (!userRef.exists) {
-            logger.error('postComment: User not found');
-            res.status(404).send('User not found');
-            return;
-        }
+   logger.info('createUser: Checking if user already exists');
+   const userRef = await db.collection('users').doc(googleId);
+   const user = await userRef.get();
+   if (user.exists) {
+      logger.error('createUser: User already exists');
+      sendError(res, 400, 'User already exists');
+      return;
+   }
 
-        if (!userRef.data().canComment) {
-            logger.error('postComment: User cannot comment');
-            res.status(403).send('User is not allowed to comment');
-            return;
-        }
+   logger.info('createUser: Creating user');
+   const now = new Date().toISOString();
+   await db.collection('users').doc(googleId).set({
+      id: googleId,
+      name: name,
+      photoUrl: photoUrl,
+      canComment: true,
+      canUpload: true,
+      creationDate: now,
+      lastAccess: now
+   });
 
-       const commentSnapshot = await db.collection('comments').orderBy('id').get();
-       let nextId = 0;
+   res.status(200).json({
+      success: true
+   });
+}));
 
-       commentSnapshot.forEach(doc => {
-          const commentData = doc.data();
-          if (commentData.id === nextId) {
-             nextId++;
-          }
-       });
+exports.getUser = onRequest(handleRequest('getUser', async (req, res) => {
+   logger.info('Got getting user request');
+   if (req.method !== 'GET') {
+      logger.error('getUser: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
 
-        const now = new Date().toISOString();
-        const commentData = {
-            id: nextId,
-            maskId: maskDocId,
-            googleId: googleId,
-            comment: comment,
-            postedOn: now
-        };
+   if (!validateRequest(req, res, 'getUser')) {
+      return;
+   }
 
-        await db.collection('comments').doc(nextId.toString()).set(commentData);
-        logger.info('postComment: Comment posted successfully');
+   const caller = await authenticateOptional(req, res, 'getUser');
+   if (caller === null) {
+      return;
+   }
 
-        res.status(200).json({
-            success: true
-        });
-    } catch (error) {
-        logger.error('postComment: Error posting comment', error);
-        res.status(500).json({
-            success: false,
-            error: 'Error posting comment: ' + error
-        });
-    }
-});
+   const googleId = req.query.googleId || (caller && caller.googleId);
+   if (!googleId) {
+      logger.error('getUser: Missing googleId');
+      sendError(res, 400, 'Missing googleId');
+      return;
+   }
 
-exports.getComments = onRequest(async (req, res) => {
-   logger.info('Got getting comments request');
+   logger.info('getUser: Getting user');
+   const userRef = db.collection('users').doc(googleId);
+   const user = await userRef.get();
 
-    if (req.method !== 'GET') {
-        logger.error('getComments: Method not allowed (expected GET)');
-        res.status(405).send('Method not allowed');
-        return;
+   if (!user.exists) {
+      logger.error('getUser: User not found');
+      res.status(200).json({});
+      return;
+   }
+
+   logger.info('getUser: User found, updating lastAccess');
+   const now = new Date().toISOString();
+   await userRef.update({
+      lastAccess: now
+   });
+
+   logger.info('getUser: Returning user data');
+   res.status(200).json(user.data());
+}));
+
+exports.updateUser = onRequest(handleRequest('updateUser', async (req, res) => {
+   logger.info('Got update user request');
+
+   if (req.method !== 'POST') {
+      logger.error('updateUser: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'updateUser')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'updateUser');
+      if (!caller) {
+         return;
+      }
+
+      const googleId = resolveCallerGoogleId(caller, req.body.googleId, res, 'updateUser', 'googleId');
+      if (!googleId) {
+         return;
+      }
+
+      const {
+         name,
+         photoUrl
+      } = req.body;
+
+      const changes = {};
+      if (name != null) {
+         changes.name = name;
+      }
+      if (photoUrl !== undefined) {
+         changes.photoUrl = photoUrl;
+      }
+
+      if (Object.keys(changes).length === 0) {
+         logger.error('updateUser: Nothing to update');
+         sendError(res, 400, 'Nothing to update');
+         return;
+      }
+
+      const userRef = db.collection('users').doc(googleId);
+      if (!(await userRef.get()).exists) {
+         logger.error('updateUser: User not found');
+         sendError(res, 404, 'User not found');
+         return;
+      }
+
+      await userRef.update(changes);
+
+      logger.info('updateUser: User updated successfully');
+      res.status(200).json({
+         success: true
+      });
+   } catch (error) {
+      logger.error('updateUser: Error updating user', error);
+      sendError(res, 500, 'Error updating user: ' + error);
+   }
+}));
+
+exports.getUserMasks = onRequest(handleRequest('getUserMasks', async (req, res) => {
+   logger.info('Got getting user masks request');
+
+   if (req.method !== 'GET') {
+      logger.error('getUserMasks: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getUserMasks')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateOptional(req, res, 'getUserMasks');
+      if (caller === null) {
+         return;
+      }
+
+      let {
+         googleId,
+         limit,
+         orderBy,
+         orderDirection,
+         lastId
+      } = req.query;
+
+      googleId = googleId || (caller && caller.googleId);
+      if (!googleId) {
+         logger.error('getUserMasks: Missing googleId');
+         sendError(res, 400, 'Missing googleId');
+         return;
+      }
+
+      limit = parseInt(limit) || 6;
+      ({orderBy, orderDirection} = normalizeMaskOrder(orderBy, orderDirection, 'uploadedOn'));
+
+      // Uploaders also see their own removed masks, e.g. to restore them.
+      const masksRef = db.collection('masks');
+      let masksQuery = masksRef.where('uploaderGoogleId', '==', googleId);
+      if (!caller || caller.googleId !== googleId) {
+         masksQuery = masksQuery.where('isRemoved', '==', false);
+      }
+      masksQuery = masksQuery.orderBy(orderBy, orderDirection);
+
+      if (lastId) {
+         const lastDoc = await masksRef.doc(String(lastId)).get();
+         if (lastDoc.exists) {
+            masksQuery = masksQuery.startAfter(lastDoc);
+         }
+      }
+
+      const masksSnapshot = await masksQuery.limit(limit).get();
+      const masks = masksSnapshot.docs.map(doc => toMaskSummary(doc.data()));
+
+      logger.info(`getUserMasks: Retrieved ${masks.length} masks`);
+
+      const lastDoc = masksSnapshot.docs[masksSnapshot.docs.length - 1];
+      res.status(200).json({
+         masks: masks,
+         lastId: lastDoc ? lastDoc.id : null
+      });
+   } catch (error) {
+      logger.error('getUserMasks: Error getting user masks', error);
+      sendError(res, 500, 'Error getting user masks: ' + error);
+   }
+}));
+
+exports.getUserStats = onRequest(handleRequest('getUserStats', async (req, res) => {
+   logger.info('Got getting user stats request');
+
+   if (req.method !== 'GET') {
+      logger.error('getUserStats: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getUserStats')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateOptional(req, res, 'getUserStats');
+      if (caller === null) {
+         return;
+      }
+
+      const googleId = req.query.googleId || (caller && caller.googleId);
+      if (!googleId) {
+         logger.error('getUserStats: Missing googleId');
+         sendError(res, 400, 'Missing googleId');
+         return;
+      }
+
+      const userDoc = await db.collection('users').doc(googleId).get();
+      if (!userDoc.exists) {
+         logger.error('getUserStats: User not found');
+         sendError(res, 404, 'User not found');
+         return;
+      }
+
+      const [maskStats, commentStats] = await Promise.all([
+         db.collection('masks')
+             .where('uploaderGoogleId', '==', googleId)
+             .where('isRemoved', '==', false)
+             .aggregate({
+                maskCount: AggregateField.count(),
+                ratingsReceived: AggregateField.sum('ratingsCount')
+             })
+             .get(),
+         db.collection('comments')
+             .where('googleId', '==', googleId)
+             .count()
+             .get()
+      ]);
+
+      logger.info('getUserStats: Stats retrieved successfully');
+      res.status(200).json({
+         googleId: googleId,
+         maskCount: maskStats.data().maskCount,
+         ratingsReceived: maskStats.data().ratingsReceived || 0,
+         commentsPosted: commentStats.data().count
+      });
+   } catch (error) {
+      logger.error('getUserStats: Error getting user stats', error);
+      sendError(res, 500, 'Error getting user stats: ' + error);
+   }
+}));
+
+// Masks kept after their uploader deletes their account are attributed to this id.
+const deletedUserGoogleId = 'deleted-user';
+
+exports.deleteAccount = onRequest(handleRequest('deleteAccount', async (req, res) => {
+   logger.info('Got delete account request');
+
+   if (req.method !== 'POST') {
+      logger.error('deleteAccount: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'deleteAccount')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'deleteAccount');
+      if (!caller) {
+         return;
+      }
+
+      const {
+         confirm,
+         maskAction
+      } = req.body;
+
+      const googleId = caller.googleId;
+      if (confirm !== googleId) {
+         logger.error('deleteAccount: confirm does not match authenticated user');
+         sendError(res, 400, 'confirm must be the googleId of the account being deleted');
+         return;
+      }
+
+      const userRef = db.collection('users').doc(googleId);
+      if (!(await userRef.get()).exists) {
+         logger.error('deleteAccount: User not found');
+         sendError(res, 404, 'User not found');
+         return;
+      }
+
+      // Block new activity while the account is being taken apart.
+      await userRef.update({
+         canUpload: false,
+         canComment: false
+      });
+
+      const now = new Date().toISOString();
+      const masksQuery = db.collection('masks').where('uploaderGoogleId', '==', googleId);
+      const masksAffected = maskAction === 'remove'
+          ? await updateQueryInBatches(masksQuery, doc => (doc.data().deletedOn || doc.data().purgedOn ? {isRemoved: true} : {
+             isRemoved: true,
+             deletedOn: now,
+             deletedByGoogleId: googleId
+          }))
+          : await updateQueryInBatches(masksQuery, {uploaderGoogleId: deletedUserGoogleId});
+
+      // Ratings are taken back out of the masks' aggregates one by one.
+      let ratingsRemoved = 0;
+      const ratingsSnapshot = await db.collection('ratings').where('googleId', '==', googleId).get();
+      for (const ratingDoc of ratingsSnapshot.docs) {
+         if (await removeRating(ratingDoc.data().maskId, googleId)) {
+            ratingsRemoved++;
+         }
+      }
+      await deleteQueryInBatches(db.collection('ratings').where('googleId', '==', googleId));
+      await deleteQueryInBatches(db.collection('ratingTrendingCredits').where('googleId', '==', googleId));
+
+      const commentsAnonymized = await updateQueryInBatches(
+          db.collection('comments').where('googleId', '==', googleId),
+          {
+             googleId: null,
+             comment: '',
+             isDeleted: true,
+             deletedOn: now
+          });
+
+      const reportsAnonymized = await updateQueryInBatches(
+          db.collection('reports').where('reporterGoogleId', '==', googleId),
+          {reporterGoogleId: null});
+
+      const favoritesSnapshot = await db.collection('favorites').where('googleId', '==', googleId).get();
+      for (const favoriteDoc of favoritesSnapshot.docs) {
+         await setFavorite(googleId, favoriteDoc.data().maskId, false);
+      }
+      await deleteQueryInBatches(db.collection('favorites').where('googleId', '==', googleId));
+      await deleteQueryInBatches(db.collection('collections').where('ownerGoogleId', '==', googleId));
+
+      await deleteQueryInBatches(db.collection('uploadHashes').where('googleId', '==', googleId));
+      await userRef.delete();
+
+      try {
+         await auth.deleteUser(caller.uid);
+      } catch (error) {
+         logger.error('deleteAccount: Could not delete Auth user', error);
+      }
+
+      logger.info(`deleteAccount: Account deleted (${masksAffected} masks, ${ratingsRemoved} ratings, ${commentsAnonymized} comments, ${reportsAnonymized} reports)`);
+      res.status(200).json({
+         success: true,
+         masks: masksAffected,
+         ratings: ratingsRemoved,
+         comments: commentsAnonymized,
+         reports: reportsAnonymized
+      });
+   } catch (error) {
+      logger.error('deleteAccount: Error deleting account', error);
+      sendError(res, 500, 'Error deleting account: ' + error);
+   }
+}));
+
+const maxUploadFileSize = 100 * 1024 * 1024;
+const dailyUploadBytes = defineInt('UPLOAD_DAILY_BYTES', {default: 200 * 1024 * 1024});
+const dailyUploadFiles = defineInt('UPLOAD_DAILY_FILES', {default: 50});
+
+/**
+ * Builds an error for a rejected upload. `rule` names the check that failed and is
+ * returned to the client together with the message.
+ */
+function uploadRejection(status, rule, message) {
+   const error = new Error(message);
+   error.status = status;
+   error.rule = rule;
+   return error;
+}
+
+/**
+ * Sends an upload rejection as `{success, rule, error}`, or a generic 500 for anything else.
+ */
+function sendUploadError(res, error, fallbackMessage) {
+   if (error.rule) {
+      sendError(res, error.status, error.message, {rule: error.rule});
+   } else {
+      sendError(res, 500, fallbackMessage);
+   }
+}
+
+/**
+ * Checks the sniffed type of every received file against the allowlist and the
+ * client's declared type. Throws an upload rejection for the first file that fails.
+ */
+function validateReceivedFiles(files) {
+   files.forEach(file => {
+      if (file.truncated) {
+         throw uploadRejection(413, 'fileSize', `${file.originalName} is larger than ${maxUploadFileSize} bytes`);
+      }
+
+      const fileType = detectFileType(file.header);
+      if (!fileType) {
+         throw uploadRejection(415, 'fileType', `${file.originalName} is not an allowed image or mask format`);
+      }
+
+      const mismatch = findTypeMismatch(fileType, file.claimedMimeType, file.originalName);
+      if (mismatch) {
+         throw uploadRejection(415, 'typeMismatch', `${file.originalName} ${mismatch} does not match its contents (${fileType.mimeType})`);
+      }
+
+      file.fileType = fileType;
+   });
+}
+
+/**
+ * Adds the new files to the caller's usage for today, rejecting the whole upload
+ * when it would go over the daily byte or file-count quota. Returns the day charged.
+ */
+async function reserveUploadQuota(googleId, files) {
+   const bytes = files.reduce((total, file) => total + file.size, 0);
+   const day = new Date().toISOString().slice(0, 10);
+   const quotaRef = db.collection('uploadQuotas').doc(`${googleId}_${day}`);
+
+   await db.runTransaction(async (transaction) => {
+      const quotaDoc = await transaction.get(quotaRef);
+      const usage = quotaDoc.exists ? quotaDoc.data() : {bytes: 0, files: 0};
+
+      if (usage.files + files.length > dailyUploadFiles.value()) {
+         throw uploadRejection(429, 'dailyFiles', `Daily upload limit of ${dailyUploadFiles.value()} files reached`);
+      }
+
+      if (usage.bytes + bytes > dailyUploadBytes.value()) {
+         throw uploadRejection(429, 'dailyBytes', `Daily upload limit of ${dailyUploadBytes.value()} bytes reached`);
+      }
+
+      transaction.set(quotaRef, {
+         googleId: googleId,
+         day: day,
+         bytes: usage.bytes + bytes,
+         files: usage.files + files.length
+      });
+   });
+
+   return day;
+}
+
+function imageVariantsRef(originalUrl) {
+   const urlHash = crypto.createHash('sha256').update(originalUrl).digest('hex');
+   return db.collection('imageVariants').doc(urlHash);
+}
+
+async function uploadVariant(destination, buffer) {
+   const variantFile = bucket.file(destination);
+   await variantFile.save(buffer, {
+      metadata: {
+         contentType: variantMimeType
+      }
+   });
+   await variantFile.makePublic();
+   return getDownloadURL(variantFile);
+}
+
+/**
+ * Renders and uploads the thumbnail and preview of an uploaded image, and records
+ * them in imageVariants under the original's URL so createMask can find them.
+ * Returns null for image formats that cannot be decoded.
+ */
+async function createImageVariants(source, destination, mimeType, originalUrl) {
+   if (!supportedMimeTypes.includes(mimeType)) {
+      return null;
+   }
+
+   const rendered = await renderImageVariants(source);
+   const baseName = destination.replace(/\.[^./]+$/, '');
+   const variants = {
+      original: originalUrl,
+      thumbnail: await uploadVariant(`thumbnails/${baseName}.jpg`, rendered.thumbnail),
+      preview: await uploadVariant(`previews/${baseName}.jpg`, rendered.preview)
+   };
+
+   await imageVariantsRef(originalUrl).set({
+      ...variants,
+      path: destination,
+      createdOn: new Date().toISOString()
+   });
+   return variants;
+}
+
+/**
+ * Looks up the generated variants for each image URL. Images without variants
+ * use the original for every size.
+ */
+async function resolveImageVariants(imageUrls) {
+   if (imageUrls.length === 0) {
+      return [];
+   }
+
+   const variantDocs = await db.getAll(...imageUrls.map(url => imageVariantsRef(String(url))));
+   return imageUrls.map((url, index) => {
+      const variants = variantDocs[index].exists ? variantDocs[index].data() : {};
+      return {
+         original: url,
+         thumbnail: variants.thumbnail || url,
+         preview: variants.preview || url
+      };
+   });
+}
+
+function maskPackageRef(url) {
+   const urlHash = crypto.createHash('sha256').update(url).digest('hex');
+   return db.collection('maskPackages').doc(urlHash);
+}
+
+const maskPackageMimeType = 'application/zip';
+
+/**
+ * Checks an uploaded zip against the mask package format. Returns its manifest,
+ * or throws an upload rejection describing what is wrong with the package.
+ */
+async function validateMaskPackage(source, originalName) {
+   const {manifest, problem} = await inspectMaskPackage(source);
+   if (problem) {
+      throw uploadRejection(422, 'maskPackage', `${originalName} is not a valid mask package: ${problem}`);
+   }
+   return manifest;
+}
+
+/**
+ * Records a validated package under its URL, so createMask can accept the URL
+ * and copy the manifest without reading the archive again.
+ */
+async function recordMaskPackage(url, objectPath, googleId, manifest) {
+   await maskPackageRef(url).set({
+      url: url,
+      path: objectPath,
+      googleId: googleId,
+      manifest: manifest,
+      validatedOn: new Date().toISOString()
+   });
+}
+
+const maskPackageFieldNames = ['formatVersion', 'anchorPoints', 'requiredAppVersion', 'requiredAppVersionCode'];
+
+// Masks published before mask packages have no minimum app version, so every app version can load them.
+const legacyAppVersionCode = 0;
+
+/**
+ * The app version code for masks stored before mask packages existed, so the
+ * appVersion filter of getMasks (a range query on the field) still finds them.
+ */
+function missingPackageFields(maskData) {
+   if (typeof maskData.requiredAppVersionCode === 'number') {
+      return {};
+   }
+   return {requiredAppVersionCode: legacyAppVersionCode};
+}
+
+/**
+ * The manifest fields copied onto a mask document.
+ */
+function maskPackageFields(manifest) {
+   return {
+      formatVersion: manifest.formatVersion,
+      anchorPoints: manifest.anchorPoints,
+      requiredAppVersion: manifest.requiredAppVersion,
+      requiredAppVersionCode: appVersionCode(manifest.requiredAppVersion)
+   };
+}
+
+/**
+ * Looks up the validated package behind a maskUrl. Only the user who uploaded the
+ * package can publish it. Returns the package fields for the mask, or null after
+ * sending 422.
+ */
+async function loadMaskPackage(maskUrl, googleId, res, endpoint) {
+   const packageDoc = await maskPackageRef(String(maskUrl)).get();
+   if (!packageDoc.exists || packageDoc.data().googleId !== googleId) {
+      logger.error(`${endpoint}: maskUrl is not a validated mask package`);
+      sendError(res, 422, 'maskUrl must be a mask package uploaded by this user', {rule: 'maskPackage'});
+      return null;
+   }
+   return maskPackageFields(packageDoc.data().manifest);
+}
+
+/**
+ * Trims a mask document for list responses: `images` holds thumbnail URLs and the
+ * full variant set is left for getMask.
+ */
+function toMaskSummary(maskData) {
+   const {imageVariants, ...summary} = maskData;
+   if (Array.isArray(imageVariants)) {
+      summary.images = imageVariants.map(variants => variants.thumbnail);
+   }
+   return summary;
+}
+
+exports.uploadFile = onRequest(handleRequest('uploadFile', async (req, res) => {
+   logger.info('Got file upload request');
+
+   if (req.method !== 'POST') {
+      logger.error('uploadFile: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'uploadFile')) {
+      return;
+   }
+
+   const received = [];
+
+   try {
+      const caller = await authenticate(req, res, 'uploadFile');
+      if (!caller) {
+         return;
+      }
+
+      const busboy = Busboy({
+         headers: req.headers,
+         limits: {
+            fileSize: maxUploadFileSize,
+         }
+      });
+      const writes = [];
+      const fields = {};
+      const tmpdir = os.tmpdir();
+
+      busboy.on('field', (fieldname, val) => {
+         logger.info(`Processing field: ${fieldname}`);
+         fields[fieldname] = val;
+      });
+
+      busboy.on('file', (fieldname, fileStream, fileInfo) => {
+         logger.info(`Processing file: ${fileInfo.filename}, type: ${fileInfo.mimeType}`);
+
+         const uniqueFilename = `${crypto.randomUUID()}-${fileInfo.filename}`;
+         const file = {
+            fieldname,
+            originalName: fileInfo.filename,
+            claimedMimeType: fileInfo.mimeType,
+            destination: uniqueFilename,
+            filepath: path.join(tmpdir, uniqueFilename),
+            header: Buffer.alloc(0),
+            size: 0,
+            truncated: false
+         };
+         received.push(file);
+
+         const hash = crypto.createHash('sha256');
+         const writeStream = fs.createWriteStream(file.filepath);
+
+         fileStream.on('data', chunk => {
+            hash.update(chunk);
+            file.size += chunk.length;
+            if (file.header.length < headerLength) {
+               file.header = Buffer.concat([file.header, chunk]).subarray(0, headerLength);
+            }
+         });
+
+         fileStream.on('limit', () => {
+            file.truncated = true;
+         });
+
+         writes.push(new Promise((resolve, reject) => {
+            fileStream.pipe(writeStream)
+                .on('error', error => {
+                   fileStream.resume();
+                   reject(error);
+                });
+
+            writeStream.on('error', error => {
+               fileStream.resume();
+               reject(error);
+            });
+
+            writeStream.on('finish', () => {
+               file.contentHash = hash.digest('hex');
+               resolve();
+            });
+         }));
+      })
+
+      const receiveComplete = new Promise((resolve, reject) => {
+         busboy.on('finish', () => {
+            logger.info('Busboy finished processing');
+            Promise.all(writes).then(resolve).catch(reject);
+         });
+
+         busboy.on('error', error => {
+            logger.error('Busboy encountered an error:', error);
+            reject(error);
+         });
+      });
+
+      busboy.end(req.rawBody);
+      await receiveComplete;
+
+      if (!(await claimIdempotencyKey(req, res, 'uploadFile', caller, multipartFingerprint(fields, received)))) {
+         return;
+      }
+
+      if (!(await enforceRateLimits(req, res, 'uploadFile', caller))) {
+         return;
+      }
+
+      validateReceivedFiles(received);
+
+      for (const file of received) {
+         if (file.fileType.mimeType === maskPackageMimeType) {
+            file.manifest = await validateMaskPackage(file.filepath, file.originalName);
+         }
+      }
+
+      // Files this user already uploaded with identical contents reuse the stored copy.
+      const hashRefs = received.map(file =>
+          db.collection('uploadHashes').doc(`${caller.googleId}_${file.contentHash}`));
+      const hashDocs = received.length > 0 ? await db.getAll(...hashRefs) : [];
+      const newFiles = received.filter((file, index) => !hashDocs[index].exists);
+
+      if (newFiles.length > 0) {
+         await reserveUploadQuota(caller.googleId, newFiles);
+      }
+
+      const files = await Promise.all(received.map(async (file, index) => {
+         if (hashDocs[index].exists) {
+            logger.info(`uploadFile: ${file.originalName} is a duplicate, returning existing URL`);
+            const existing = hashDocs[index].data();
+            if (file.manifest) {
+               await recordMaskPackage(existing.url, existing.path, caller.googleId, file.manifest);
+            }
+            return {
+               fieldname: file.fieldname,
+               originalName: file.originalName,
+               url: existing.url,
+               thumbnailUrl: existing.thumbnailUrl || null,
+               previewUrl: existing.previewUrl || null,
+               duplicate: true
+            };
+         }
+
+         const options = {
+            destination: file.destination,
+            metadata: {
+               contentType: file.fileType.mimeType,
+               metadata: {
+                  originalName: file.originalName,
+                  contentHash: file.contentHash,
+                  uploaderGoogleId: caller.googleId,
+                  uploadedOn: new Date().toISOString()
+               }
+            }
+         }
+         const [uploadedFile] = await bucket.upload(file.filepath, options);
+
+         await uploadedFile.makePublic();
+         const downloadUrl = await getDownloadURL(uploadedFile);
+
+         if (file.manifest) {
+            await recordMaskPackage(downloadUrl, file.destination, caller.googleId, file.manifest);
+         }
+
+         let variants = null;
+         if (file.fileType.kind === 'image') {
+            try {
+               variants = await createImageVariants(file.filepath, file.destination, file.fileType.mimeType, downloadUrl);
+            } catch (error) {
+               logger.error(`uploadFile: Could not create image variants for ${file.originalName}`, error);
+            }
+         }
+
+         await hashRefs[index].set({
+            googleId: caller.googleId,
+            contentHash: file.contentHash,
+            path: file.destination,
+            url: downloadUrl,
+            thumbnailUrl: variants ? variants.thumbnail : null,
+            previewUrl: variants ? variants.preview : null,
+            uploadedOn: new Date().toISOString()
+         });
+
+         return {
+            fieldname: file.fieldname,
+            originalName: file.originalName,
+            url: downloadUrl,
+            thumbnailUrl: variants ? variants.thumbnail : null,
+            previewUrl: variants ? variants.preview : null,
+            duplicate: false
+         };
+      }));
+
+      const result = { fields, files };
+      logger.info(`uploadFile: ${files.length} files uploaded successfully`);
+      res.status(200).json(result);
+
+   } catch (error) {
+      logger.error('uploadFile: Error uploading file', error);
+      sendUploadError(res, error, 'Error uploading file');
+   } finally {
+      received.forEach(file => {
+         fs.unlink(file.filepath, (err) => {
+            if (err && err.code !== 'ENOENT') logger.error('Error removing temp file:', err);
+         });
+      });
+   }
+}));
+
+const uploadSessionMinutes = defineInt('UPLOAD_SESSION_MINUTES', {default: 15});
+
+function safeObjectName(filename) {
+   return path.basename(String(filename)).replace(/[^\w.-]+/g, '_');
+}
+
+exports.createUploadSession = onRequest(handleRequest('createUploadSession', async (req, res) => {
+   logger.info('Got create upload session request');
+
+   if (req.method !== 'POST') {
+      logger.error('createUploadSession: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'createUploadSession')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'createUploadSession');
+      if (!caller) {
+         return;
+      }
+
+      if (!(await enforceRateLimits(req, res, 'createUploadSession', caller))) {
+         return;
+      }
+
+      const {
+         filename,
+         mimeType,
+         size
+      } = req.body;
+
+      if (size > maxUploadFileSize) {
+         throw uploadRejection(413, 'fileSize', `${filename} is larger than ${maxUploadFileSize} bytes`);
+      }
+
+      const fileType = fileTypeForMimeType(mimeType);
+      if (!fileType) {
+         throw uploadRejection(415, 'fileType', `${mimeType} is not an allowed image or mask format`);
+      }
+
+      if (findTypeMismatch(fileType, mimeType, filename)) {
+         throw uploadRejection(415, 'typeMismatch', `${filename} extension does not match ${fileType.mimeType}`);
+      }
+
+      const quotaDay = await reserveUploadQuota(caller.googleId, [{size}]);
+
+      const sessionRef = db.collection('uploadSessions').doc();
+      const destination = `${sessionRef.id}-${safeObjectName(filename)}`;
+      const expiresAt = new Date(Date.now() + uploadSessionMinutes.value() * 60 * 1000);
+
+      const [uploadUrl] = await bucket.file(destination).getSignedUrl({
+         version: 'v4',
+         action: 'write',
+         expires: expiresAt,
+         contentType: fileType.mimeType,
+         extensionHeaders: {
+            'x-goog-content-length-range': `0,${size}`
+         }
+      });
+
+      await sessionRef.set({
+         googleId: caller.googleId,
+         originalName: String(filename),
+         path: destination,
+         mimeType: fileType.mimeType,
+         size: size,
+         quotaDay: quotaDay,
+         status: 'pending',
+         createdOn: new Date().toISOString(),
+         expiresOn: expiresAt.toISOString()
+      });
+
+      logger.info(`createUploadSession: Created session ${sessionRef.id}`);
+      res.status(200).json({
+         success: true,
+         sessionId: sessionRef.id,
+         uploadUrl: uploadUrl,
+         method: 'PUT',
+         headers: {
+            'Content-Type': fileType.mimeType,
+            'x-goog-content-length-range': `0,${size}`
+         },
+         expiresOn: expiresAt.toISOString()
+      });
+   } catch (error) {
+      logger.error('createUploadSession: Error creating upload session', error);
+      sendUploadError(res, error, 'Error creating upload session');
+   }
+}));
+
+// How long a finalizeUpload call holds its session before another call may take over.
+const uploadSessionFinalizingSeconds = 5 * 60;
+
+/**
+ * Claims a pending upload session for finalizeUpload by moving it to 'finalizing',
+ * so concurrent calls cannot validate and publish the same upload twice. A claim
+ * left by a call that never finished lapses after uploadSessionFinalizingSeconds.
+ * Returns {session, claimed}, or null when the caller has no such session.
+ */
+async function claimUploadSession(sessionRef, googleId) {
+   return db.runTransaction(async (transaction) => {
+      const sessionDoc = await transaction.get(sessionRef);
+      if (!sessionDoc.exists || sessionDoc.data().googleId !== googleId) {
+         return null;
+      }
+
+      const session = sessionDoc.data();
+      const now = new Date();
+      const claimable = session.status === 'pending'
+          || (session.status === 'finalizing' && new Date(session.finalizingUntil) <= now);
+      if (claimable) {
+         transaction.update(sessionRef, {
+            status: 'finalizing',
+            finalizingUntil: new Date(now.getTime() + uploadSessionFinalizingSeconds * 1000).toISOString()
+         });
+      }
+      return {session, claimed: claimable};
+   });
+}
+
+/**
+ * Ends an upload session that produced no file ('expired' or 'rejected') and gives
+ * back the quota createUploadSession reserved for it. Sessions that already ended
+ * are left alone, so the quota is only returned once.
+ */
+async function endUploadSession(sessionRef, status, fields = {}) {
+   await db.runTransaction(async (transaction) => {
+      const sessionDoc = await transaction.get(sessionRef);
+      const session = sessionDoc.exists ? sessionDoc.data() : null;
+      if (!session || (session.status !== 'pending' && session.status !== 'finalizing')) {
+         return;
+      }
+
+      transaction.update(sessionRef, {
+         ...fields,
+         status: status,
+         finalizingUntil: FieldValue.delete(),
+         endedOn: new Date().toISOString()
+      });
+
+      const day = session.quotaDay || session.createdOn.slice(0, 10);
+      transaction.set(db.collection('uploadQuotas').doc(`${session.googleId}_${day}`), {
+         bytes: FieldValue.increment(-session.size),
+         files: FieldValue.increment(-1)
+      }, {merge: true});
+   });
+}
+
+/**
+ * Reads a stored object once, hashing it on the way. The contents are only kept when
+ * they are needed afterwards: copied to `filepath`, and returned as a buffer when
+ * `keepContents` is set. Resolves to {contentHash, contents}.
+ */
+async function readStoredObject(file, filepath, keepContents) {
+   const hash = crypto.createHash('sha256');
+   const chunks = [];
+   const source = file.createReadStream();
+
+   source.on('data', chunk => {
+      hash.update(chunk);
+      if (keepContents) {
+         chunks.push(chunk);
+      }
+   });
+
+   if (filepath) {
+      await pipeline(source, fs.createWriteStream(filepath));
+   } else {
+      await finished(source);
+   }
+
+   return {
+      contentHash: hash.digest('hex'),
+      contents: keepContents ? Buffer.concat(chunks) : null
+   };
+}
+
+exports.finalizeUpload = onRequest(handleRequest('finalizeUpload', async (req, res) => {
+   logger.info('Got finalize upload request');
+
+   if (req.method !== 'POST') {
+      logger.error('finalizeUpload: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'finalizeUpload')) {
+      return;
+   }
+
+   let packagePath = null;
+
+   try {
+      const caller = await authenticate(req, res, 'finalizeUpload');
+      if (!caller) {
+         return;
+      }
+
+      const {sessionId} = req.body;
+
+      const sessionRef = db.collection('uploadSessions').doc(String(sessionId));
+      const claimed = await claimUploadSession(sessionRef, caller.googleId);
+      if (!claimed) {
+         logger.error('finalizeUpload: Upload session not found');
+         sendError(res, 404, 'Upload session not found');
+         return;
+      }
+
+      const session = claimed.session;
+      if (session.status === 'finalized') {
+         res.status(200).json({
+            success: true,
+            url: session.url,
+            thumbnailUrl: session.thumbnailUrl || null,
+            previewUrl: session.previewUrl || null
+         });
+         return;
+      }
+
+      if (!claimed.claimed) {
+         throw uploadRejection(409, 'sessionState', `Upload session is ${session.status}`);
+      }
+
+      // Anything that goes wrong before the session ends hands it back, so the
+      // client can finalize again.
+      let ended = false;
+      let result = null;
+      const end = async (status, fields) => {
+         ended = true;
+         await endUploadSession(sessionRef, status, fields);
+      };
+
+      try {
+         const uploaded = bucket.file(session.path);
+         const [exists] = await uploaded.exists();
+         if (!exists) {
+            if (new Date(session.expiresOn) < new Date()) {
+               await end('expired');
+               throw uploadRejection(410, 'sessionExpired', 'Upload session expired before the file arrived');
+            }
+            throw uploadRejection(409, 'fileMissing', 'The file has not been uploaded yet');
+         }
+
+         // The signed upload URL stays valid until the session expires, so everything
+         // below reads one generation of the object, and that generation is copied to
+         // a path the URL cannot write to.
+         const [metadata] = await uploaded.getMetadata();
+         const file = bucket.file(session.path, {generation: metadata.generation});
+
+         const reject = async (rejection) => {
+            await uploaded.delete({ignoreNotFound: true});
+            await end('rejected', {rejectedRule: rejection.rule});
+            return rejection;
+         };
+
+         if (Number(metadata.size) !== session.size) {
+            throw await reject(uploadRejection(422, 'sizeMismatch', `Uploaded ${metadata.size} bytes but declared ${session.size}`));
+         }
+
+         if (metadata.contentType !== session.mimeType) {
+            throw await reject(uploadRejection(415, 'typeMismatch', `Uploaded as ${metadata.contentType} but declared ${session.mimeType}`));
+         }
+
+         const [header] = await file.download({start: 0, end: headerLength - 1});
+         const fileType = detectFileType(header);
+         if (!fileType || fileType.mimeType !== session.mimeType) {
+            throw await reject(uploadRejection(415, 'typeMismatch', `${session.originalName} contents do not match ${session.mimeType}`));
+         }
+
+         // Packages are validated from a local copy, and images are decoded from memory
+         // for their variants; anything else is only hashed.
+         const decodesImage = fileType.kind === 'image' && supportedMimeTypes.includes(fileType.mimeType);
+         if (fileType.mimeType === maskPackageMimeType) {
+            packagePath = path.join(os.tmpdir(), `${crypto.randomUUID()}-${safeObjectName(session.originalName)}`);
+         }
+         const {contentHash, contents} = await readStoredObject(file, packagePath, decodesImage);
+
+         let manifest = null;
+         if (packagePath) {
+            try {
+               manifest = await validateMaskPackage(packagePath, session.originalName);
+            } catch (error) {
+               throw await reject(error);
+            }
+         }
+
+         const objectPath = `${crypto.randomUUID()}-${safeObjectName(session.originalName)}`;
+         const [stored] = await file.copy(bucket.file(objectPath));
+         await uploaded.delete({ignoreNotFound: true});
+
+         await stored.setMetadata({
+            metadata: {
+               originalName: session.originalName,
+               contentHash: contentHash,
+               uploaderGoogleId: caller.googleId,
+               uploadedOn: session.createdOn
+            }
+         });
+         await stored.makePublic();
+         const downloadUrl = await getDownloadURL(stored);
+
+         if (manifest) {
+            await recordMaskPackage(downloadUrl, objectPath, caller.googleId, manifest);
+         }
+
+         let variants = null;
+         if (decodesImage) {
+            try {
+               variants = await createImageVariants(contents, objectPath, fileType.mimeType, downloadUrl);
+            } catch (error) {
+               logger.error(`finalizeUpload: Could not create image variants for ${session.originalName}`, error);
+            }
+         }
+
+         result = {
+            url: downloadUrl,
+            thumbnailUrl: variants ? variants.thumbnail : null,
+            previewUrl: variants ? variants.preview : null
+         };
+
+         ended = true;
+         await sessionRef.update({
+            ...result,
+            objectPath: objectPath,
+            generation: String(metadata.generation),
+            contentHash: contentHash,
+            status: 'finalized',
+            finalizingUntil: FieldValue.delete(),
+            finalizedOn: new Date().toISOString()
+         });
+      } catch (error) {
+         if (!ended) {
+            await sessionRef.update({
+               status: 'pending',
+               finalizingUntil: FieldValue.delete()
+            });
+         }
+         throw error;
+      }
+
+      logger.info(`finalizeUpload: Session ${sessionRef.id} finalized`);
+      res.status(200).json({
+         success: true,
+         ...result
+      });
+   } catch (error) {
+      logger.error('finalizeUpload: Error finalizing upload', error);
+      sendUploadError(res, error, 'Error finalizing upload');
+   } finally {
+      if (packagePath) {
+         fs.unlink(packagePath, (err) => {
+            if (err && err.code !== 'ENOENT') logger.error('Error removing temp file:', err);
+         });
+      }
+   }
+}));
+
+const expiredUploadSessionsPerRun = 200;
+
+/**
+ * Ends pending upload sessions whose upload URL expired without a finalizeUpload
+ * call, which returns the quota reserved for them. Objects uploaded for them are
+ * left to collectOrphanedUploads.
+ */
+exports.expireUploadSessions = onSchedule('every 1 hours', async () => {
+   const expiredSnapshot = await db.collection('uploadSessions')
+       .where('status', '==', 'pending')
+       .where('expiresOn', '<=', new Date().toISOString())
+       .limit(expiredUploadSessionsPerRun)
+       .get();
+
+   for (const sessionDoc of expiredSnapshot.docs) {
+      try {
+         await endUploadSession(sessionDoc.ref, 'expired');
+      } catch (error) {
+         logger.error(`expireUploadSessions: Error expiring session ${sessionDoc.id}`, error);
+      }
+   }
+
+   logger.info(`expireUploadSessions: Expired ${expiredSnapshot.size} upload sessions`);
+});
+
+const textModerationCacheMs = 60 * 1000;
+let textModerationCache = null;
+
+/**
+ * Loads the blocklist from `moderationBlocklist` ({term, action, partial}) and the
+ * length limits and spam rules from settings/textModeration, falling back to the
+ * defaults in textModeration.js. Cached per instance for a minute.
+ */
+async function loadTextModerationSettings() {
+   if (textModerationCache && Date.now() - textModerationCache.loadedOn < textModerationCacheMs) {
+      return textModerationCache.settings;
+   }
+
+   const [blocklistSnapshot, settingsDoc] = await Promise.all([
+      db.collection('moderationBlocklist').get(),
+      db.collection('settings').doc('textModeration').get()
+   ]);
+   const stored = settingsDoc.exists ? settingsDoc.data() : {};
+
+   const spamRules = {};
+   Object.keys(defaultSpamRules).forEach(rule => {
+      spamRules[rule] = {...defaultSpamRules[rule], ...(stored.spamRules || {})[rule]};
+   });
+
+   const settings = {
+      maxLengths: {...defaultMaxLengths, ...stored.maxLengths},
+      spamRules: spamRules,
+      blocklist: blocklistSnapshot.docs
+          .map(doc => doc.data())
+          .filter(entry => entry.term)
+          .map(entry => ({
+             term: String(entry.term),
+             action: ruleActions.includes(entry.action) ? entry.action : 'reject',
+             partial: entry.partial === true
+          }))
+   };
+
+   textModerationCache = {settings, loadedOn: Date.now()};
+   return settings;
+}
+
+/**
+ * Counts the author's comments within the window whose text matches `text`.
+ */
+async function countRepeatedComments(authorGoogleId, text, windowMinutes, exceptCommentId) {
+   const windowStart = new Date(Date.now() - windowMinutes * 60 * 1000).toISOString();
+   const recentComments = await db.collection('comments')
+       .where('googleId', '==', authorGoogleId)
+       .where('postedOn', '>=', windowStart)
+       .get();
+
+   const comparable = comparableText(text);
+   return recentComments.docs.filter(doc => doc.id !== String(exceptCommentId)
+       && !doc.data().isDeleted
+       && comparableText(doc.data().comment) === comparable).length;
+}
+
+/**
+ * Runs length limits, the blocklist and the spam rules over user-submitted text.
+ * `fields` is a list of {field, kind, text}, where kind picks the length limit
+ * (maskName, description, tag or comment). Comments are also checked against the
+ * author's recent comments, skipping `exceptCommentId` when one is being edited.
+ *
+ * Each blocklist entry and spam rule has an action: reject fails the request, mask
+ * replaces the matched text with asterisks, and review accepts the text but queues
+ * it for moderators. Returns {rejection, texts, reviewRules}, where rejection is
+ * null or {rule, fields}, and texts holds the (possibly masked) text by field.
+ */
+async function moderateText(fields, authorGoogleId, exceptCommentId = null) {
+   const settings = await loadTextModerationSettings();
+   const rejected = [];
+   const reviewRules = new Set();
+   const texts = {};
+
+   const apply = (rule, action, field, message) => {
+      if (action === 'reject') {
+         rejected.push({rule, field, message});
+      } else if (action === 'review') {
+         reviewRules.add(rule);
+      }
+   };
+
+   for (const {field, kind, text} of fields) {
+      const maxLength = settings.maxLengths[kind];
+      if (maxLength && [...text].length > maxLength) {
+         rejected.push({rule: 'maxLength', field, message: `Must be at most ${maxLength} characters`});
+         continue;
+      }
+
+      const matches = findBlockedTerms(text, settings.blocklist);
+      matches.forEach(match => apply('blocklist', match.action, field, 'Contains a blocked term'));
+      let moderated = maskMatches(text, matches.filter(match => match.action === 'mask'));
+
+      const linkFlooding = settings.spamRules.linkFlooding;
+      if (countLinks(text) > linkFlooding.maxLinks) {
+         apply('linkFlooding', linkFlooding.action, field, `Contains more than ${linkFlooding.maxLinks} links`);
+         if (linkFlooding.action === 'mask') {
+            moderated = moderated.replace(/\b(?:https?:\/\/|www\.)\S+/gi, link => '*'.repeat(link.length));
+         }
+      }
+
+      // Masking cannot undo a repeat, so a mask action on this rule queues it for review.
+      const repeatedText = settings.spamRules.repeatedText;
+      if (kind === 'comment' && authorGoogleId) {
+         const repeats = await countRepeatedComments(authorGoogleId, text, repeatedText.windowMinutes, exceptCommentId);
+         if (repeats > repeatedText.maxRepeats) {
+            apply('repeatedText', repeatedText.action === 'mask' ? 'review' : repeatedText.action, field,
+                'Repeats a recent comment');
+         }
+      }
+
+      texts[field] = moderated;
+   }
+
+   return {
+      rejection: rejected.length > 0
+          ? {rule: rejected[0].rule, fields: rejected.map(({field, message}) => ({field, message}))}
+          : null,
+      texts: texts,
+      reviewRules: [...reviewRules]
+   };
+}
+
+/**
+ * Sends the 400 for text rejected by moderateText.
+ */
+function sendTextRejection(res, endpoint, rejection) {
+   logger.error(`${endpoint}: Text rejected by rule ${rejection.rule}`);
+   sendError(res, 400, 'Text rejected by moderation', rejection);
+}
+
+/**
+ * Puts an item whose text matched a review rule in the moderators' queue as an
+ * open report without a reporter. An item already waiting for review is not queued twice.
+ */
+async function queueForReview(itemType, itemId, reviewRules) {
+   if (reviewRules.length === 0) {
+      return;
+   }
+
+   const pending = await db.collection('reports')
+       .where('reportedItemType', '==', itemType)
+       .where('reportedItemId', '==', String(itemId))
+       .where('status', '==', 'open')
+       .where('reporterGoogleId', '==', null)
+       .limit(1)
+       .get();
+   if (!pending.empty) {
+      return;
+   }
+
+   await db.collection('reports').add({
+      reportedItemType: itemType,
+      reportedItemId: String(itemId),
+      reporterGoogleId: null,
+      reason: reviewRules.includes('blocklist') ? 'offensive' : 'spam',
+      description: `Flagged by text moderation: ${reviewRules.join(', ')}`,
+      flaggedRules: reviewRules,
+      status: 'open',
+      reportedOn: new Date().toISOString()
+   });
+   logger.info(`Queued ${itemType} ${itemId} for review (${reviewRules.join(', ')})`);
+}
+
+/**
+ * Lists the text fields of a mask create/update request for moderateText.
+ */
+function maskTextFields(name, description, tags) {
+   const fields = [];
+   if (name != null) {
+      fields.push({field: 'name', kind: 'maskName', text: name});
+   }
+   if (description != null) {
+      fields.push({field: 'description', kind: 'description', text: description});
+   }
+   if (tags != null) {
+      tags.forEach((tag, index) => fields.push({field: `tags[${index}]`, kind: 'tag', text: tag}));
+   }
+   return fields;
+}
+
+/**
+ * Returns the tags with moderated text, in their original order.
+ */
+function moderatedTags(tags, texts) {
+   return tags == null ? tags : tags.map((tag, index) => texts[`tags[${index}]`]);
+}
+
+// Ancestors kept on a mask, nearest last. Deeper lineages drop their oldest entries.
+const maxLineageDepth = 100;
+
+exports.createMask = onRequest(handleRequest('createMask', async (req, res) => {
+   logger.info('Got create mask request');
+
+   if (req.method !== 'POST') {
+      logger.error('createMask: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'createMask')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'createMask');
+      if (!caller) {
+         return;
+      }
+
+      if (!(await claimIdempotencyKey(req, res, 'createMask', caller))) {
+         return;
+      }
+
+      if (!(await enforceRateLimits(req, res, 'createMask', caller))) {
+         return;
+      }
+
+      const {
+         maskUrl,
+         name,
+         description,
+         images,
+         tags,
+         parentMaskId
+      } = req.body;
+
+      const uploaderGoogleId = resolveCallerGoogleId(caller, req.body.uploaderGoogleId, res, 'createMask', 'uploaderGoogleId');
+      if (!uploaderGoogleId) {
+            return;
+      }
+
+      const userRef = await db.collection('users').doc(uploaderGoogleId).get();
+      if (!userRef.exists) {
+         logger.error('createMask: User not found');
+         sendError(res, 404, 'User not found');
+         return;
+      }
+
+      if (!userRef.data().canUpload) {
+         logger.error('createMask: User cannot upload');
+         sendError(res, 403, 'User is not allowed to upload');
+         return;
+      }
+
+      const moderation = await moderateText(maskTextFields(name, description, tags), uploaderGoogleId);
+      if (moderation.rejection) {
+         sendTextRejection(res, 'createMask', moderation.rejection);
+         return;
+      }
+      const maskName = moderation.texts.name;
+      const maskTags = moderatedTags(tags, moderation.texts);
+
+      const packageFields = await loadMaskPackage(maskUrl, uploaderGoogleId, res, 'createMask');
+      if (!packageFields) {
+         return;
+      }
+
+      const imageVariants = await resolveImageVariants([].concat(images));
+
+      const now = new Date().toISOString();
+      const maskData = {
+         maskUrl: maskUrl,
+         ...packageFields,
+         maskName: maskName,
+         description: description != null ? moderation.texts.description : '',
+         images: images,
+         imageVariants: imageVariants,
+         tags: maskTags || [],
+         uploaderGoogleId:uploaderGoogleId,
+         averageRating: 0,
+         ratingsCount: 0,
+         ratingHistogram: emptyRatingHistogram(),
+         favoriteCount: 0,
+         usesCount: 0,
+         trendingScore: trendingEventScore(now, trendingUseWeight),
+         topRatedScore: topRatedScore(0, 0),
+         uploadedOn: now,
+         lastAccessedOn: now,
+         isRemoved: false,
+         version: 1,
+         remixCount: 0,
+         parentMaskId: null,
+         ancestorMaskIds: [],
+         ...maskSearchFields(maskName, maskTags)
+      };
+
+      const hasParent = parentMaskId !== "" && parentMaskId != null;
+      const parentRef = hasParent ? db.collection('masks').doc(String(parentMaskId)) : null;
+
+      const nextId = await db.runTransaction(async (transaction) => {
+         if (parentRef) {
+            const parentDoc = await transaction.get(parentRef);
+            if (!parentDoc.exists || parentDoc.data().isRemoved) {
+               return null;
+            }
+
+            maskData.parentMaskId = parentRef.id;
+            maskData.ancestorMaskIds = [...(parentDoc.data().ancestorMaskIds || []), parentRef.id]
+                .slice(-maxLineageDepth);
+         }
+
+         const id = await allocateId(transaction, 'masks');
+         transaction.create(db.collection('masks').doc(id.toString()), {
+            id: id,
+            ...maskData
+         });
+
+         if (parentRef) {
+            transaction.update(parentRef, {remixCount: FieldValue.increment(1)});
+         }
+         return id;
+      });
+
+      if (nextId === null) {
+         logger.error('createMask: Parent mask not found');
+         sendError(res, 404, 'Parent mask not found');
+         return;
+      }
+
+      await queueForReview('mask', nextId, moderation.reviewRules);
+
+      logger.info(`createMask: Mask created successfully with ID ${nextId}`);
+      res.status(200).json({
+         success: true,
+         maskId: nextId
+      });
+
+   } catch (error) {
+      logger.error('createMask: Error creating mask', error);
+      sendError(res, 500, 'Error creating mask: ' + error);
+   }
+}));
+
+exports.getMask = onRequest(handleRequest('getMask', async (req, res) => {
+   logger.info('Got getting mask request');
+
+   if (req.method !== 'GET') {
+      logger.error('getMask: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getMask')) {
+      return;
+   }
+
+   try {
+      const maskId = req.query.maskId;
+
+      const caller = await authenticateOptional(req, res, 'getMask');
+      if (caller === null) {
+         return;
+      }
+
+      const maskRef = await db.collection('masks').doc(maskId.toString()).get();
+      if (!maskRef.exists) {
+         logger.error('getMask: Mask not found');
+         sendError(res, 404, 'Mask not found');
+         return;
+      }
+
+      let maskData = maskRef.data();
+
+      // Removed masks stay visible to their uploader and admins only.
+      if (maskData.isRemoved) {
+         const canSee = caller && (caller.googleId === maskData.uploaderGoogleId || await isAdmin(caller.googleId));
+         if (!canSee) {
+            logger.error('getMask: Mask is removed');
+            sendError(res, 404, 'Mask not found');
+            return;
+         }
+      }
+
+      const version = req.query.version;
+      if (version != null && version !== "" && Number(version) !== (maskData.version || 1)) {
+         const versionRef = await maskRef.ref.collection('versions').doc(String(version)).get();
+         if (!versionRef.exists) {
+            logger.error('getMask: Mask version not found');
+            sendError(res, 404, 'Mask version not found');
+            return;
+         }
+
+         const {savedOn, editorGoogleId, ...versionFields} = versionRef.data();
+         maskData = {
+            ...maskData,
+            ...versionFields,
+            version: Number(version)
+         };
+      }
+
+      maskData.favoriteCount = maskData.favoriteCount || 0;
+      if (caller) {
+         const favoriteDoc = await favoriteRef(caller.googleId, maskRef.id).get();
+         maskData.isFavorited = favoriteDoc.exists;
+      }
+
+      logger.info('getMask: Mask retrieved successfully');
+      res.status(200).json(maskData);
+   } catch (error) {
+      logger.error('getMask: Error getting mask', error);
+      sendError(res, 500, 'Error getting mask: ' + error);
+   }
+}));
+
+const maskPurgeGraceDays = defineInt('MASK_PURGE_GRACE_DAYS', {default: 30});
+const masksPurgedPerRun = 50;
+
+// Fields that belong to a mask version. Ratings, comments and moderation state
+// stay on the mask itself and carry over between versions.
+const versionedMaskFields = [
+   'maskUrl',
+   ...maskPackageFieldNames,
+   'maskName',
+   'description',
+   'images',
+   'imageVariants',
+   'tags',
+   'maskNameLower',
+   'searchTokens',
+   'tagsLower'
+];
+
+function maskVersionSnapshot(maskData) {
+   const snapshot = {};
+   versionedMaskFields.forEach(field => {
+      if (maskData[field] !== undefined) {
+         snapshot[field] = maskData[field];
+      }
+   });
+   return snapshot;
+}
+
+/**
+ * Loads a mask the caller wants to change. Only the uploader or an admin may do so.
+ * Returns {maskRef, maskData, callerIsAdmin}, or null after sending 404/403.
+ */
+async function loadMaskForOwner(caller, maskId, res, endpoint) {
+   const maskRef = db.collection('masks').doc(String(maskId));
+   const maskDoc = await maskRef.get();
+   if (!maskDoc.exists) {
+      logger.error(`${endpoint}: Mask not found`);
+      sendError(res, 404, 'Mask not found');
+      return null;
+   }
+
+   const maskData = maskDoc.data();
+   const callerIsAdmin = await isAdmin(caller.googleId);
+   if (maskData.uploaderGoogleId !== caller.googleId && !callerIsAdmin) {
+      logger.error(`${endpoint}: Caller is not the uploader`);
+      sendError(res, 403, 'Only the uploader or an admin can change this mask');
+      return null;
+   }
+
+   return {maskRef, maskData, callerIsAdmin};
+}
+
+/**
+ * Checks that a caller loaded by loadMaskForOwner may publish mask contents. Admins
+ * always may; uploaders need `canUpload`. Returns false after sending 403.
+ */
+async function checkOwnerCanUpload(caller, owned, res, endpoint) {
+   if (owned.callerIsAdmin) {
+      return true;
+   }
+
+   const userRef = await db.collection('users').doc(caller.googleId).get();
+   if (!userRef.exists || !userRef.data().canUpload) {
+      logger.error(`${endpoint}: User cannot upload`);
+      sendError(res, 403, 'User is not allowed to upload');
+      return false;
+   }
+   return true;
+}
+
+/**
+ * Saves the mask's current state as a numbered version and applies the new fields,
+ * in one transaction so concurrent edits cannot reuse a version number.
+ * Returns the new version number.
+ */
+async function saveMaskVersion(maskRef, editorGoogleId, changes) {
+   return db.runTransaction(async (transaction) => {
+      const maskDoc = await transaction.get(maskRef);
+      const maskData = maskDoc.data();
+      const currentVersion = maskData.version || 1;
+      const now = new Date().toISOString();
+
+      transaction.set(maskRef.collection('versions').doc(String(currentVersion)), {
+         ...maskVersionSnapshot(maskData),
+         savedOn: now,
+         editorGoogleId: maskData.lastEditorGoogleId || maskData.uploaderGoogleId
+      });
+
+      transaction.update(maskRef, {
+         ...changes,
+         version: currentVersion + 1,
+         updatedOn: now,
+         lastEditorGoogleId: editorGoogleId
+      });
+
+      return currentVersion + 1;
+   });
+}
+
+exports.updateMask = onRequest(handleRequest('updateMask', async (req, res) => {
+   logger.info('Got update mask request');
+
+   if (req.method !== 'POST') {
+      logger.error('updateMask: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'updateMask')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'updateMask');
+      if (!caller) {
+         return;
+      }
+
+      const {
+         maskId,
+         maskUrl,
+         name,
+         description,
+         images,
+         tags
+      } = req.body;
+
+      const owned = await loadMaskForOwner(caller, maskId, res, 'updateMask');
+      if (!owned) {
+         return;
+      }
+
+      if (!(await checkOwnerCanUpload(caller, owned, res, 'updateMask'))) {
+         return;
+      }
+
+      const moderation = await moderateText(maskTextFields(name, description, tags), caller.googleId);
+      if (moderation.rejection) {
+         sendTextRejection(res, 'updateMask', moderation.rejection);
+         return;
+      }
+      const maskName = moderation.texts.name;
+      const maskTags = moderatedTags(tags, moderation.texts);
+
+      const changes = {};
+      if (maskUrl != null) {
+         const packageFields = await loadMaskPackage(maskUrl, owned.maskData.uploaderGoogleId, res, 'updateMask');
+         if (!packageFields) {
+            return;
+         }
+         changes.maskUrl = maskUrl;
+         Object.assign(changes, packageFields);
+      }
+      if (description != null) {
+         changes.description = moderation.texts.description;
+      }
+      if (images != null) {
+         changes.images = images;
+         changes.imageVariants = await resolveImageVariants([].concat(images));
+      }
+      if (name != null) {
+         changes.maskName = maskName;
+      }
+      if (tags != null) {
+         changes.tags = maskTags;
+      }
+      if (name != null || tags != null) {
+         Object.assign(changes, maskSearchFields(
+             name != null ? maskName : owned.maskData.maskName,
+             tags != null ? maskTags : owned.maskData.tags));
+      }
+
+      if (Object.keys(changes).length === 0) {
+         logger.error('updateMask: Nothing to update');
+         sendError(res, 400, 'Nothing to update');
+         return;
+      }
+
+      const version = await saveMaskVersion(owned.maskRef, caller.googleId, changes);
+      await queueForReview('mask', owned.maskRef.id, moderation.reviewRules);
+
+      logger.info(`updateMask: Mask ${maskId} updated to version ${version}`);
+      res.status(200).json({
+         success: true,
+         maskId: owned.maskData.id,
+         version: version
+      });
+   } catch (error) {
+      logger.error('updateMask: Error updating mask', error);
+      sendError(res, 500, 'Error updating mask: ' + error);
+   }
+}));
+
+exports.rollbackMask = onRequest(handleRequest('rollbackMask', async (req, res) => {
+   logger.info('Got rollback mask request');
+
+   if (req.method !== 'POST') {
+      logger.error('rollbackMask: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'rollbackMask')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'rollbackMask');
+      if (!caller) {
+         return;
+      }
+
+      const {
+         maskId,
+         version
+      } = req.body;
+
+      const owned = await loadMaskForOwner(caller, maskId, res, 'rollbackMask');
+      if (!owned) {
+         return;
+      }
+
+      if (!(await checkOwnerCanUpload(caller, owned, res, 'rollbackMask'))) {
+         return;
+      }
+
+      if (version === (owned.maskData.version || 1)) {
+         logger.error('rollbackMask: Version is already current');
+         sendError(res, 400, 'version is already the current version');
+         return;
+      }
+
+      const versionRef = await owned.maskRef.collection('versions').doc(String(version)).get();
+      if (!versionRef.exists) {
+         logger.error('rollbackMask: Mask version not found');
+         sendError(res, 404, 'Mask version not found');
+         return;
+      }
+
+      // Versions saved before mask packages have no manifest fields; the current ones
+      // must not stay attached to the older maskUrl, and the mask loads in any app version.
+      const restored = maskVersionSnapshot(versionRef.data());
+      Object.assign(restored, missingPackageFields(restored));
+      maskPackageFieldNames.forEach(field => {
+         if (restored[field] === undefined) {
+            restored[field] = FieldValue.delete();
+         }
+      });
+
+      // Rolling back is recorded as a new version, so the state being replaced stays in history.
+      const newVersion = await saveMaskVersion(owned.maskRef, caller.googleId, restored);
+
+      logger.info(`rollbackMask: Mask ${maskId} rolled back to version ${version} as version ${newVersion}`);
+      res.status(200).json({
+         success: true,
+         maskId: owned.maskData.id,
+         version: newVersion
+      });
+   } catch (error) {
+      logger.error('rollbackMask: Error rolling back mask', error);
+      sendError(res, 500, 'Error rolling back mask: ' + error);
+   }
+}));
+
+exports.deleteMask = onRequest(handleRequest('deleteMask', async (req, res) => {
+   logger.info('Got delete mask request');
+
+   if (req.method !== 'POST') {
+      logger.error('deleteMask: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'deleteMask')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'deleteMask');
+      if (!caller) {
+         return;
+      }
+
+      const {maskId} = req.body;
+
+      const owned = await loadMaskForOwner(caller, maskId, res, 'deleteMask');
+      if (!owned) {
+         return;
+      }
+
+      if (owned.maskData.deletedOn) {
+         logger.error('deleteMask: Mask already deleted');
+         sendError(res, 409, 'Mask already deleted');
+         return;
+      }
+
+      const now = new Date().toISOString();
+      await owned.maskRef.update({
+         isRemoved: true,
+         deletedOn: now,
+         deletedByGoogleId: caller.googleId
+      });
+
+      logger.info(`deleteMask: Mask ${maskId} deleted`);
+      res.status(200).json({
+         success: true,
+         purgeAfter: new Date(Date.now() + maskPurgeGraceDays.value() * 24 * 60 * 60 * 1000).toISOString()
+      });
+   } catch (error) {
+      logger.error('deleteMask: Error deleting mask', error);
+      sendError(res, 500, 'Error deleting mask: ' + error);
+   }
+}));
+
+exports.restoreMask = onRequest(handleRequest('restoreMask', async (req, res) => {
+   logger.info('Got restore mask request');
+
+   if (req.method !== 'POST') {
+      logger.error('restoreMask: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'restoreMask')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'restoreMask');
+      if (!caller) {
+         return;
+      }
+
+      const {maskId} = req.body;
+
+      const owned = await loadMaskForOwner(caller, maskId, res, 'restoreMask');
+      if (!owned) {
+         return;
+      }
+
+      if (owned.maskData.purgedOn) {
+         logger.error('restoreMask: Mask already purged');
+         sendError(res, 410, 'Mask has already been purged');
+         return;
+      }
+
+      if (!owned.maskData.deletedOn) {
+         logger.error('restoreMask: Mask is not deleted');
+         sendError(res, 409, 'Mask is not deleted');
+         return;
+      }
+
+      // Masks also hidden by moderation or by reports stay hidden until a moderator acts.
+      await owned.maskRef.update({
+         isRemoved: Boolean(owned.maskData.removedByModeration || owned.maskData.hiddenByReports),
+         deletedOn: FieldValue.delete(),
+         deletedByGoogleId: FieldValue.delete()
+      });
+
+      logger.info(`restoreMask: Mask ${maskId} restored`);
+      res.status(200).json({
+         success: true
+      });
+   } catch (error) {
+      logger.error('restoreMask: Error restoring mask', error);
+      sendError(res, 500, 'Error restoring mask: ' + error);
+   }
+}));
+
+function maskStorageUrls(maskData) {
+   const variants = maskData.imageVariants || [];
+   return [
+      maskData.maskUrl,
+      ...[].concat(maskData.images || []),
+      ...variants.flatMap(variant => [variant.thumbnail, variant.preview])
+   ];
+}
+
+/**
+ * Deletes the Storage objects and documents of masks deleted longer than the grace
+ * period ago. The mask document itself is kept, marked with purgedOn, so its id
+ * is never reused and it can no longer be restored. deletedOn is cleared on purge,
+ * so later runs only pick up masks that still need purging.
+ *
+ * Uploads can be shared between masks (uploadFile reuses the URL of identical files)
+ * and between a mask's versions, so objects are only deleted once nothing else
+ * refers to them. Anything left behind by a failed run is collected by
+ * collectOrphanedUploads.
+ */
+exports.purgeDeletedMasks = onSchedule('every 24 hours', async () => {
+   const cutoff = new Date(Date.now() - maskPurgeGraceDays.value() * 24 * 60 * 60 * 1000).toISOString();
+   logger.info(`purgeDeletedMasks: Purging masks deleted before ${cutoff}`);
+
+   // Only masks that are still removed can be purged; a deleted mask shown again
+   // would otherwise be picked up, and skipped, on every run.
+   const masksSnapshot = await db.collection('masks')
+       .where('isRemoved', '==', true)
+       .where('deletedOn', '<=', cutoff)
+       .limit(masksPurgedPerRun)
+       .get();
+
+   const candidateUrls = [];
+   for (const maskDoc of masksSnapshot.docs) {
+      const maskData = maskDoc.data();
+      if (!maskData.isRemoved) {
+         continue;
+      }
+
+      try {
+         const versionsSnapshot = await maskDoc.ref.collection('versions').get();
+         const maskUrls = [
+            ...maskStorageUrls(maskData),
+            ...versionsSnapshot.docs.flatMap(doc => maskStorageUrls(doc.data()))
+         ];
+
+         const ratingsDeleted = await deleteQueryInBatches(db.collection('ratings').where('maskId', '==', maskDoc.id));
+         await deleteQueryInBatches(db.collection('ratingTrendingCredits').where('maskId', '==', maskDoc.id));
+         const commentsDeleted = await deleteQueryInBatches(db.collection('comments').where('maskId', '==', maskDoc.id));
+         await deleteQueryInBatches(maskDoc.ref.collection('versions'));
+
+         await maskDoc.ref.update({
+            purgedOn: new Date().toISOString(),
+            deletedOn: FieldValue.delete(),
+            maskUrl: FieldValue.delete(),
+            images: [],
+            imageVariants: []
+         });
+         candidateUrls.push(...maskUrls);
+
+         logger.info(`purgeDeletedMasks: Purged mask ${maskDoc.id} (${ratingsDeleted} ratings, ${commentsDeleted} comments)`);
+      } catch (error) {
+         logger.error(`purgeDeletedMasks: Error purging mask ${maskDoc.id}`, error);
+      }
+   }
+
+   if (candidateUrls.length === 0) {
+      return;
+   }
+
+   // The purged masks no longer refer to their uploads, so what is still referenced is in use elsewhere.
+   const referenced = await referencedStoragePaths();
+   const unreferenced = [...new Set(candidateUrls.map(objectPathFromUrl).filter(Boolean))]
+       .filter(objectPath => !referenced.has(objectPath));
+   const deleted = await deleteStoragePaths(unreferenced);
+
+   logger.info(`purgeDeletedMasks: Deleted ${deleted.length} Storage objects`);
+});
+
+const orphanedUploadGraceHours = defineInt('ORPHANED_UPLOAD_GRACE_HOURS', {default: 72});
+const orphanedUploadDryRun = defineBoolean('ORPHANED_UPLOAD_DRY_RUN', {default: true});
+const orphanedUploadsRemovedPerRun = 500;
+const storageListPageSize = 1000;
+
+/**
+ * Collects the object paths that masks (including their saved versions) and user
+ * profiles point to. Thumbnails and previews of a referenced image count as referenced.
+ */
+async function referencedStoragePaths() {
+   const paths = new Set();
+   const addUrl = (url) => {
+      const objectPath = objectPathFromUrl(url);
+      if (!objectPath) {
+         return;
+      }
+      paths.add(objectPath);
+      const baseName = objectPath.replace(/\.[^./]+$/, '');
+      paths.add(`thumbnails/${baseName}.jpg`);
+      paths.add(`previews/${baseName}.jpg`);
+   };
+   const addMaskUrls = (maskData) => {
+      addUrl(maskData.maskUrl);
+      [].concat(maskData.images || []).forEach(addUrl);
+      (maskData.imageVariants || []).forEach(variants => {
+         addUrl(variants.thumbnail);
+         addUrl(variants.preview);
+      });
+   };
+
+   const maskFields = ['maskUrl', 'images', 'imageVariants'];
+   const [masksSnapshot, versionsSnapshot, usersSnapshot] = await Promise.all([
+      db.collection('masks').select(...maskFields).get(),
+      db.collectionGroup('versions').select(...maskFields).get(),
+      db.collection('users').select('photoUrl').get()
+   ]);
+
+   masksSnapshot.docs.forEach(doc => addMaskUrls(doc.data()));
+   versionsSnapshot.docs.forEach(doc => addMaskUrls(doc.data()));
+   usersSnapshot.docs.forEach(doc => addUrl(doc.data().photoUrl));
+
+   return paths;
+}
+
+/**
+ * Deletes uploads that nothing refers to once they are older than
+ * ORPHANED_UPLOAD_GRACE_HOURS, which leaves clients time to call createMask.
+ * The age comes from the uploadedOn metadata set by uploadFile and finalizeUpload,
+ * or the object's creation time for older uploads.
+ *
+ * With ORPHANED_UPLOAD_DRY_RUN set, nothing is deleted and the run only reports
+ * what would go. Every run is recorded in `storageCleanups`.
+ */
+exports.collectOrphanedUploads = onSchedule('every 24 hours', async () => {
+   const dryRun = orphanedUploadDryRun.value();
+   const cutoff = new Date(Date.now() - orphanedUploadGraceHours.value() * 60 * 60 * 1000);
+   logger.info(`collectOrphanedUploads: Looking for unreferenced uploads from before ${cutoff.toISOString()}${dryRun ? ' (dry run)' : ''}`);
+
+   const startedOn = new Date().toISOString();
+   const referenced = await referencedStoragePaths();
+   const orphans = [];
+   let scanned = 0;
+   let pageToken;
+
+   do {
+      const [files, nextQuery] = await bucket.getFiles({
+         autoPaginate: false,
+         maxResults: storageListPageSize,
+         pageToken: pageToken
+      });
+      pageToken = nextQuery ? nextQuery.pageToken : undefined;
+
+      for (const file of files) {
+         scanned++;
+         if (referenced.has(file.name)) {
+            continue;
+         }
+
+         const customMetadata = file.metadata.metadata || {};
+         const uploadedOn = customMetadata.uploadedOn || file.metadata.timeCreated;
+         if (!uploadedOn || new Date(uploadedOn) > cutoff) {
+            continue;
+         }
+
+         orphans.push({
+            path: file.name,
+            size: Number(file.metadata.size) || 0,
+            uploaderGoogleId: customMetadata.uploaderGoogleId || null,
+            uploadedOn: new Date(uploadedOn).toISOString()
+         });
+         if (orphans.length >= orphanedUploadsRemovedPerRun) {
+            break;
+         }
+      }
+   } while (pageToken && orphans.length < orphanedUploadsRemovedPerRun);
+
+   const bytes = orphans.reduce((total, orphan) => total + orphan.size, 0);
+
+   let removed = [];
+   if (!dryRun && orphans.length > 0) {
+      try {
+         removed = await deleteStoragePaths(orphans.map(orphan => orphan.path));
+      } catch (error) {
+         logger.error('collectOrphanedUploads: Error deleting orphaned uploads', error);
+      }
+   }
+
+   await db.collection('storageCleanups').add({
+      startedOn: startedOn,
+      finishedOn: new Date().toISOString(),
+      dryRun: dryRun,
+      graceHours: orphanedUploadGraceHours.value(),
+      scanned: scanned,
+      orphans: orphans,
+      orphanedBytes: bytes,
+      removedCount: removed.length
+   });
+
+   logger.info(`collectOrphanedUploads: Scanned ${scanned} objects, found ${orphans.length} orphaned (${bytes} bytes), removed ${removed.length}`);
+});
+
+exports.getMasks = onRequest(handleRequest('getMasks', async (req, res) => {
+   logger.info('Got getting masks request');
+
+   if (req.method !== 'GET') {
+      logger.error('getMasks: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getMasks')) {
+      return;
+   }
+
+   try {
+      let {
+         limit,
+         orderBy,
+         orderDirection,
+         lastId,
+         appVersion
+      } = req.query;
+
+      logger.info('getMasks: Query params', { limit, orderBy, orderDirection, lastId, appVersion});
+
+      limit = parseInt(limit) || 6;
+      ({orderBy, orderDirection} = normalizeMaskOrder(orderBy, orderDirection));
+
+      const masksRef = db.collection('masks');
+      let masksQuery = masksRef.where('isRemoved', '==', false);
+
+      // Only masks whose package the given app version can load.
+      if (appVersion) {
+         masksQuery = masksQuery.where('requiredAppVersionCode', '<=', appVersionCode(appVersion));
+      }
+
+      masksQuery = masksQuery.orderBy(orderBy, orderDirection);
+
+      if (lastId) {
+         logger.info(`getMasks: Starting after ID ${lastId}`);
+         const lastDoc = await masksRef.doc(lastId).get();
+         if (lastDoc.exists) {
+            masksQuery = masksQuery.startAfter(lastDoc);
+         }
+      }
+
+      masksQuery = masksQuery.limit(limit);
+
+      const masksSnapshot = await masksQuery.get();
+      const masks = [];
+      masksSnapshot.forEach(doc => {
+         masks.push(toMaskSummary(doc.data()));
+      });
+
+      logger.info(`getMasks: Retrieved ${masks.length} masks`);
+
+      const lastDoc = masksSnapshot.docs[masksSnapshot.docs.length - 1];
+      const nextId = lastDoc ? lastDoc.id : null;
+
+      res.status(200).json({
+         masks: masks,
+         lastId: nextId
+      });
+   } catch (error) {
+      logger.error('getMasks: Error getting masks', error);
+      sendError(res, 500, 'Error getting masks: ' + error);
+   }
+}));
+
+const searchBatchSize = 50;
+const maxSearchBatches = 10;
+
+exports.searchMasks = onRequest(handleRequest('searchMasks', async (req, res) => {
+   logger.info('Got search masks request');
+
+   if (req.method !== 'GET') {
+      logger.error('searchMasks: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'searchMasks')) {
+      return;
+   }
+
+   try {
+      let {
+         q,
+         tags,
+         tagMode,
+         uploaderGoogleId,
+         limit,
+         orderBy,
+         orderDirection,
+         lastId
+      } = req.query;
+
+      logger.info('searchMasks: Query params', redactForLog({ q, tags, tagMode, uploaderGoogleId, limit, orderBy, orderDirection, lastId }));
+
+      limit = parseInt(limit) || 6;
+      ({orderBy, orderDirection} = normalizeMaskOrder(orderBy, orderDirection));
+      tagMode = tagMode === 'all' ? 'all' : 'any';
+
+      const queryTokens = q ? searchTokensOf(q) : [];
+      const tagList = [].concat(tags || [])
+          .flatMap(tag => String(tag).split(','))
+          .map(tag => normalizeSearchText(tag))
+          .filter(Boolean);
+
+      if (queryTokens.length === 0 && tagList.length === 0 && !uploaderGoogleId) {
+         logger.error('searchMasks: No search criteria');
+         sendError(res, 400, 'q, tags or uploaderGoogleId is required');
+         return;
+      }
+
+      if (tagMode === 'any' && tagList.length > 30) {
+         logger.error('searchMasks: Too many tags');
+         sendError(res, 400, 'At most 30 tags can be searched at once');
+         return;
+      }
+
+      // Firestore allows a single array filter per query, so the most selective one
+      // is applied in the query and the rest are checked on the returned documents.
+      const masksRef = db.collection('masks');
+      let masksQuery = masksRef.where('isRemoved', '==', false);
+
+      if (uploaderGoogleId) {
+         masksQuery = masksQuery.where('uploaderGoogleId', '==', uploaderGoogleId);
+      }
+
+      let tagsFilteredInQuery = false;
+      if (queryTokens.length > 0) {
+         const longestToken = queryTokens.reduce((a, b) => (b.length > a.length ? b : a));
+         masksQuery = masksQuery.where('searchTokens', 'array-contains', longestToken.slice(0, maxSearchPrefixLength));
+      } else if (tagList.length > 0) {
+         if (tagMode === 'any') {
+            masksQuery = masksQuery.where('tagsLower', 'array-contains-any', tagList);
+            tagsFilteredInQuery = true;
+         } else {
+            masksQuery = masksQuery.where('tagsLower', 'array-contains', tagList[0]);
+         }
+      }
+
+      masksQuery = masksQuery.orderBy(orderBy, orderDirection);
+
+      const matches = (maskData) => {
+         const searchTokens = maskData.searchTokens || [];
+         if (!queryTokens.every(token => searchTokens.includes(token.slice(0, maxSearchPrefixLength)))) {
+            return false;
+         }
+
+         if (tagList.length > 0 && !tagsFilteredInQuery) {
+            const maskTags = maskData.tagsLower || [];
+            const hasTag = (tag) => maskTags.includes(tag);
+            return tagMode === 'all' ? tagList.every(hasTag) : tagList.some(hasTag);
+         }
+
+         return true;
+      };
+
+      let cursor = null;
+      if (lastId) {
+         const lastDoc = await masksRef.doc(lastId).get();
+         if (lastDoc.exists) {
+            cursor = lastDoc;
+         }
+      }
+
+      const masks = [];
+      let nextId = null;
+      let exhausted = false;
+
+      for (let batch = 0; batch < maxSearchBatches && masks.length < limit && !exhausted; batch++) {
+         let batchQuery = masksQuery;
+         if (cursor) {
+            batchQuery = batchQuery.startAfter(cursor);
+         }
+
+         const snapshot = await batchQuery.limit(searchBatchSize).get();
+         exhausted = snapshot.size < searchBatchSize;
+
+         for (const doc of snapshot.docs) {
+            cursor = doc;
+            if (matches(doc.data())) {
+               masks.push(toMaskSummary(doc.data()));
+               if (masks.length === limit) {
+                  break;
+               }
+            }
+         }
+      }
+
+      // When the scan stopped early the client continues from the last document looked at,
+      // even if this page came back with fewer than `limit` masks.
+      if (cursor && !(exhausted && masks.length < limit)) {
+         nextId = cursor.id;
+      }
+
+      logger.info(`searchMasks: Found ${masks.length} masks`);
+      res.status(200).json({
+         masks: masks,
+         lastId: nextId
+      });
+   } catch (error) {
+      logger.error('searchMasks: Error searching masks', error);
+      sendError(res, 500, 'Error searching masks: ' + error);
+   }
+}));
+
+exports.backfillMaskSearchFields = onRequest(handleRequest('backfillMaskSearchFields', async (req, res) => {
+   logger.info('Got backfill mask search fields request');
+
+   if (req.method !== 'POST') {
+      logger.error('backfillMaskSearchFields: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'backfillMaskSearchFields')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'backfillMaskSearchFields');
+      if (!caller) {
+         return;
+      }
+
+      const limit = Math.min(parseInt(req.body.limit) || 200, 500);
+      const lastId = req.body.lastId;
+
+      const masksRef = db.collection('masks');
+      let masksQuery = masksRef.orderBy('id');
+      if (lastId != null && lastId !== "") {
+         const lastDoc = await masksRef.doc(String(lastId)).get();
+         if (lastDoc.exists) {
+            masksQuery = masksQuery.startAfter(lastDoc);
+         }
+      }
+
+      const masksSnapshot = await masksQuery.limit(limit).get();
+      const batch = db.batch();
+      masksSnapshot.forEach(doc => {
+         const maskData = doc.data();
+         batch.update(doc.ref, {
+            ...maskSearchFields(maskData.maskName || '', maskData.tags),
+            ...missingRankingFields(maskData),
+            ...missingPackageFields(maskData)
+         });
+      });
+      await batch.commit();
+
+      const lastDoc = masksSnapshot.docs[masksSnapshot.docs.length - 1];
+      logger.info(`backfillMaskSearchFields: Updated ${masksSnapshot.size} masks`);
+      res.status(200).json({
+         success: true,
+         updated: masksSnapshot.size,
+         lastId: masksSnapshot.size === limit && lastDoc ? lastDoc.id : null
+      });
+   } catch (error) {
+      logger.error('backfillMaskSearchFields: Error backfilling masks', error);
+      sendError(res, 500, 'Error backfilling masks: ' + error);
+   }
+}));
+
+const maskUseKinds = ['apply', 'download'];
+
+exports.recordMaskUse = onRequest(handleRequest('recordMaskUse', async (req, res) => {
+   logger.info('Got record mask use request');
+
+   if (req.method !== 'POST') {
+      logger.error('recordMaskUse: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'recordMaskUse')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'recordMaskUse');
+      if (!caller) {
+         return;
+      }
+
+      const {
+         maskId,
+         kind
+      } = req.body;
+
+      const maskDocId = String(maskId);
+      const maskDocRef = db.collection('masks').doc(maskDocId);
+      const now = new Date().toISOString();
+      const day = now.slice(0, 10);
+      // One use per user, mask and day, whichever kind arrives first.
+      const useRef = db.collection('maskUses').doc(`${maskDocId}_${caller.googleId}_${day}`);
+      const dailyRef = maskDocRef.collection('usage').doc(day);
+
+      const counted = await db.runTransaction(async (transaction) => {
+         const maskDoc = await transaction.get(maskDocRef);
+         if (!maskDoc.exists || maskDoc.data().isRemoved) {
+            return null;
+         }
+
+         const useDoc = await transaction.get(useRef);
+         if (useDoc.exists) {
+            return false;
+         }
+
+         transaction.create(useRef, {
+            maskId: maskDocId,
+            googleId: caller.googleId,
+            kind: kind,
+            day: day,
+            usedOn: now
+         });
+         transaction.set(dailyRef, {
+            day: day,
+            count: FieldValue.increment(1),
+            [kind + 'Count']: FieldValue.increment(1)
+         }, {merge: true});
+         transaction.update(maskDocRef, {
+            usesCount: FieldValue.increment(1),
+            lastAccessedOn: now,
+            trendingScore: addTrendingEvent(maskDoc.data().trendingScore, now, trendingUseWeight)
+         });
+         return true;
+      });
+
+      if (counted === null) {
+         logger.error('recordMaskUse: Mask not found');
+         sendError(res, 404, 'Mask not found');
+         return;
+      }
+
+      logger.info(`recordMaskUse: Mask ${maskDocId} use ${counted ? 'recorded' : 'already recorded today'}`);
+      res.status(200).json({
+         success: true,
+         counted: counted
+      });
+   } catch (error) {
+      logger.error('recordMaskUse: Error recording mask use', error);
+      sendError(res, 500, 'Error recording mask use: ' + error);
+   }
+}));
+
+exports.postRating = onRequest(handleRequest('postRating', async (req, res) => {
+   logger.info('Got post rating request');
+
+   if (req.method !== 'POST') {
+      logger.error('postRating: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'postRating')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'postRating');
+      if (!caller) {
+         return;
+      }
+
+      if (!(await enforceRateLimits(req, res, 'postRating', caller))) {
+         return;
+      }
+
+      const {
+         maskId,
+         rating
+      } = req.body;
+
+      const googleId = resolveCallerGoogleId(caller, req.body.googleId, res, 'postRating', 'googleId');
+      if (!googleId) {
+         return;
+      }
+
+      if (!isValidRating(rating)) {
+         logger.error('postRating: rating is not a valid integer');
+         sendError(res, 400, `rating must be an integer from ${ratingMin.value()} to ${ratingMax.value()}`);
+         return;
+      }
+
+      const maskDocId = String(maskId);
+
+      const maskRef = await db.collection('masks').doc(maskDocId).get();
+      if (!maskRef.exists) {
+         logger.error('postRating: Mask not found');
+         sendError(res, 404, 'Mask not found');
+         return;
+      }
+
+      const userRef = await db.collection('users').doc(googleId).get();
+      if (!userRef.exists) {
+         logger.error('postRating: User not found');
+         sendError(res, 404, 'User not found');
+         return;
+      }
+
+      if (!userRef.data().canComment) {
+         logger.error('postRating: User cannot comment');
+         sendError(res, 403, 'User is not allowed to comment');
+         return;
+      }
+
+      const maskDocRef = db.collection('masks').doc(maskDocId);
+      const ratingsQuery = db.collection('ratings').where('maskId', '==', maskDocId).where('googleId', '==', googleId);
+      // Kept when the rating is deleted, so deleting and re-posting a rating earns no new credit.
+      const trendingCreditRef = db.collection('ratingTrendingCredits').doc(`${maskDocId}_${googleId}`);
+
+      await db.runTransaction(async (transaction) => {
+         const maskDoc = await transaction.get(maskDocRef);
+         const histogram = await readRatingHistogram(transaction, maskDoc);
+         const ratingsSnapshot = await transaction.get(ratingsQuery);
+         const trendingCreditDoc = await transaction.get(trendingCreditRef);
+         const now = new Date().toISOString();
+
+         if (!ratingsSnapshot.empty) {
+            const existingRating = ratingsSnapshot.docs[0];
+            removeFromHistogram(histogram, existingRating.data().rating);
+            transaction.update(existingRating.ref, {
+               rating: rating,
+               postedOn: now
+            });
+         } else {
+            transaction.create(db.collection('ratings').doc(), {
+               maskId: maskDocId,
+               googleId: googleId,
+               rating: rating,
+               postedOn: now
+            });
+         }
+
+         histogram[rating] = (histogram[rating] || 0) + 1;
+         const maskUpdate = ratingAggregates(histogram);
+         // Only a user's first rating of a mask counts towards trending, so
+         // re-posting a rating cannot keep a mask on top.
+         if (!trendingCreditDoc.exists) {
+            maskUpdate.trendingScore = addTrendingEvent(maskDoc.data().trendingScore, now, trendingRatingWeight * rating / ratingMax.value());
+            transaction.create(trendingCreditRef, {
+               maskId: maskDocId,
+               googleId: googleId,
+               creditedOn: now
+            });
+         }
+         transaction.update(maskDocRef, maskUpdate);
+      });
+      logger.info('postRating: Rating and aggregates updated successfully');
+
+      res.status(200).json({
+         success: true
+      })
+   } catch (error) {
+      logger.error('postRating: Error posting rating', error);
+      sendError(res, 500, 'Error posting rating: ' + error);
+   }
+}));
+
+exports.getRating = onRequest(handleRequest('getRating', async (req, res) => {
+   logger.info('Got getting rating request');
+
+    if (req.method !== 'GET') {
+        logger.error('getRating: Method not allowed (expected GET)');
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+
+    if (!validateRequest(req, res, 'getRating')) {
+        return;
+    }
+
+    try {
+        const maskId = req.query.maskId;
+
+        const caller = await authenticateOptional(req, res, 'getRating');
+        if (caller === null) {
+            return;
+        }
+
+        const googleId = req.query.googleId || (caller && caller.googleId);
+        if (googleId === "" || googleId == null) {
+            logger.error('getRating: googleId is empty');
+            sendError(res, 400, 'googleId is empty');
+            return;
+        }
+
+        const maskDocId = String(maskId);
+
+        const maskRef = await db.collection('masks').doc(maskDocId).get();
+        if (!maskRef.exists) {
+            logger.error('getRating: Mask not found');
+            sendError(res, 404, 'Mask not found');
+            return;
+        }
+
+        const userRef = await db.collection('users').doc(googleId).get();
+        if (!userRef.exists) {
+            logger.error('getRating: User not found');
+            sendError(res, 404, 'User not found');
+            return;
+        }
+
+        const ratingsSnapshot = await db.collection('ratings').where('maskId', '==', maskDocId).where('googleId', '==', googleId).get();
+        if (ratingsSnapshot.empty) {
+            logger.error('getRating: Rating not found');
+            sendError(res, 404, 'Rating not found');
+            return;
+        }
+
+        const ratingData = ratingsSnapshot.docs[0].data();
+        logger.info('getRating: Rating retrieved successfully');
+        res.status(200).json(ratingData);
+    } catch (error) {
+        logger.error('getRating: Error getting rating', error);
+        sendError(res, 500, 'Error getting rating: ' + error);
+    }
+}));
+
+exports.deleteRating = onRequest(handleRequest('deleteRating', async (req, res) => {
+   logger.info('Got delete rating request');
+
+   if (req.method !== 'POST') {
+      logger.error('deleteRating: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'deleteRating')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'deleteRating');
+      if (!caller) {
+         return;
+      }
+
+      const {maskId} = req.body;
+
+      const googleId = resolveCallerGoogleId(caller, req.body.googleId, res, 'deleteRating', 'googleId');
+      if (!googleId) {
+         return;
+      }
+
+      const maskDocId = String(maskId);
+      const deleted = await removeRating(maskDocId, googleId);
+
+      if (!deleted) {
+         logger.error('deleteRating: Rating not found');
+         sendError(res, 404, 'Rating not found');
+         return;
+      }
+
+      logger.info('deleteRating: Rating deleted successfully');
+      res.status(200).json({
+         success: true
+      });
+   } catch (error) {
+      logger.error('deleteRating: Error deleting rating', error);
+      sendError(res, 500, 'Error deleting rating: ' + error);
+   }
+}));
+
+exports.postComment = onRequest(handleRequest('postComment', async (req, res) => {
+   logger.info('Got post comment request');
+
+    if (req.method !== 'POST') {
+        logger.error('postComment: Method not allowed (expected POST)');
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+
+    if (!validateRequest(req, res, 'postComment')) {
+        return;
+    }
+
+    try {
+        const caller = await authenticate(req, res, 'postComment');
+        if (!caller) {
+            return;
+        }
+
+        if (!(await claimIdempotencyKey(req, res, 'postComment', caller))) {
+            return;
+        }
+
+        if (!(await enforceRateLimits(req, res, 'postComment', caller))) {
+            return;
+        }
+
+        const {
+            maskId,
+            comment,
+            parentCommentId
+        } = req.body;
+
+        const googleId = resolveCallerGoogleId(caller, req.body.googleId, res, 'postComment', 'googleId');
+        if (!googleId) {
+            return;
+        }
+
+        const maskDocId = String(maskId);
+
+        const maskRef = await db.collection('masks').doc(maskDocId).get();
+        if (!maskRef.exists) {
+            logger.error('postComment: Mask not found');
+            sendError(res, 404, 'Mask not found');
+            return;
+        }
+
+        const userRef = await db.collection('users').doc(googleId).get();
+        if (!userRef.exists) {
+            logger.error('postComment: User not found');
+            sendError(res, 404, 'User not found');
+            return;
+        }
+
+        if (!userRef.data().canComment) {
+            logger.error('postComment: User cannot comment');
+            sendError(res, 403, 'User is not allowed to comment');
+            return;
+        }
+
+        const moderation = await moderateText([{field: 'comment', kind: 'comment', text: comment}], googleId);
+        if (moderation.rejection) {
+            sendTextRejection(res, 'postComment', moderation.rejection);
+            return;
+        }
+
+        const hasParent = parentCommentId !== "" && parentCommentId != null;
+        const parentRef = hasParent ? db.collection('comments').doc(String(parentCommentId)) : null;
+
+        const now = new Date().toISOString();
+        const commentData = {
+            maskId: maskDocId,
+            googleId: googleId,
+            comment: moderation.texts.comment,
+            parentCommentId: hasParent ? String(parentCommentId) : null,
+            replyCount: 0,
+            isDeleted: false,
+            postedOn: now
+        };
+
+        const commentId = await db.runTransaction(async (transaction) => {
+            if (parentRef) {
+                const parentDoc = await transaction.get(parentRef);
+                if (!parentDoc.exists || parentDoc.data().maskId !== maskDocId) {
+                    return null;
+                }
+                if (parentDoc.data().isDeleted) {
+                    return undefined;
+                }
+            }
+
+            const id = await allocateId(transaction, 'comments');
+            transaction.create(db.collection('comments').doc(id.toString()), {
+                id: id,
+                ...commentData
+            });
+
+            if (parentRef) {
+                transaction.update(parentRef, {replyCount: FieldValue.increment(1)});
+            }
+            return id;
+        });
+
+        if (commentId === null) {
+            logger.error('postComment: Parent comment not found');
+            sendError(res, 404, 'Parent comment not found');
+            return;
+        }
+
+        if (commentId === undefined) {
+            logger.error('postComment: Parent comment is deleted');
+            sendError(res, 409, 'Cannot reply to a deleted comment');
+            return;
+        }
+
+        await queueForReview('comment', commentId, moderation.reviewRules);
+
+        logger.info('postComment: Comment posted successfully');
+
+        res.status(200).json({
+            success: true,
+            commentId: commentId
+        });
+    } catch (error) {
+        logger.error('postComment: Error posting comment', error);
+        sendError(res, 500, 'Error posting comment: ' + error);
+    }
+}));
+
+/**
+ * Loads a comment the caller wants to change. Only its author may do so.
+ * Returns {commentRef, commentData}, or null after sending 404/403.
+ */
+async function loadOwnComment(caller, commentId, res, endpoint) {
+    const commentRef = db.collection('comments').doc(String(commentId));
+    const commentDoc = await commentRef.get();
+    if (!commentDoc.exists || commentDoc.data().isDeleted) {
+        logger.error(`${endpoint}: Comment not found`);
+        sendError(res, 404, 'Comment not found');
+        return null;
+    }
+
+    if (commentDoc.data().googleId !== caller.googleId) {
+        logger.error(`${endpoint}: Caller is not the author`);
+        sendError(res, 403, 'Only the author can change this comment');
+        return null;
+    }
+
+    return {commentRef, commentData: commentDoc.data()};
+}
+
+/**
+ * Adds the author's current name and photoUrl from `users` to each comment.
+ * Deleted and hidden comments are returned as tombstones without text or author.
+ */
+async function withCommentAuthors(comments) {
+    const googleIds = [...new Set(comments.filter(comment => !comment.isDeleted && !comment.isHidden).map(comment => comment.googleId))];
+    const userDocs = googleIds.length > 0
+        ? await db.getAll(...googleIds.map(googleId => db.collection('users').doc(googleId)))
+        : [];
+
+    const authors = {};
+    userDocs.forEach(userDoc => {
+        if (userDoc.exists) {
+            authors[userDoc.id] = {
+                name: userDoc.data().name,
+                photoUrl: userDoc.data().photoUrl || null
+            };
+        }
+    });
+
+    return comments.map(comment => {
+        if (comment.isDeleted || comment.isHidden) {
+            return {
+                ...comment,
+                googleId: null,
+                comment: '',
+                author: null
+            };
+        }
+
+        return {
+            ...comment,
+            author: authors[comment.googleId] || null
+        };
+    });
+}
+
+exports.editComment = onRequest(handleRequest('editComment', async (req, res) => {
+    logger.info('Got edit comment request');
+
+    if (req.method !== 'POST') {
+        logger.error('editComment: Method not allowed (expected POST)');
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+
+    if (!validateRequest(req, res, 'editComment')) {
+        return;
+    }
+
+    try {
+        const caller = await authenticate(req, res, 'editComment');
+        if (!caller) {
+            return;
+        }
+
+        const {
+            commentId,
+            comment
+        } = req.body;
+
+        const owned = await loadOwnComment(caller, commentId, res, 'editComment');
+        if (!owned) {
+            return;
+        }
+
+        const moderation = await moderateText([{field: 'comment', kind: 'comment', text: comment}],
+            caller.googleId, owned.commentRef.id);
+        if (moderation.rejection) {
+            sendTextRejection(res, 'editComment', moderation.rejection);
+            return;
+        }
+
+        await owned.commentRef.update({
+            comment: moderation.texts.comment,
+            editedOn: new Date().toISOString()
+        });
+        await queueForReview('comment', owned.commentRef.id, moderation.reviewRules);
+
+        logger.info('editComment: Comment edited successfully');
+        res.status(200).json({
+            success: true
+        });
+    } catch (error) {
+        logger.error('editComment: Error editing comment', error);
+        sendError(res, 500, 'Error editing comment: ' + error);
+    }
+}));
+
+/**
+ * Deletes a comment and takes it off its parent's replyCount as part of the given
+ * transaction. Comments with replies become tombstones instead, so the thread below
+ * them stays readable. Its reads come first, so callers can add writes after it.
+ * Returns true for a tombstone, false for a deleted comment, or null when the
+ * comment was already gone.
+ */
+async function removeCommentInTransaction(transaction, commentRef) {
+    const commentDoc = await transaction.get(commentRef);
+    if (!commentDoc.exists || commentDoc.data().isDeleted) {
+        return null;
+    }
+
+    const commentData = commentDoc.data();
+    const parentRef = commentData.parentCommentId
+        ? db.collection('comments').doc(commentData.parentCommentId)
+        : null;
+    const parentDoc = parentRef ? await transaction.get(parentRef) : null;
+
+    if (commentData.replyCount > 0) {
+        transaction.update(commentRef, {
+            isDeleted: true,
+            comment: '',
+            deletedOn: new Date().toISOString()
+        });
+        return true;
+    }
+
+    transaction.delete(commentRef);
+    if (parentDoc && parentDoc.exists) {
+        transaction.update(parentRef, {
+            replyCount: FieldValue.increment(-1)
+        });
+    }
+    return false;
+}
+
+async function removeComment(commentRef) {
+    return db.runTransaction(transaction => removeCommentInTransaction(transaction, commentRef));
+}
+
+exports.deleteComment = onRequest(handleRequest('deleteComment', async (req, res) => {
+    logger.info('Got delete comment request');
+
+    if (req.method !== 'POST') {
+        logger.error('deleteComment: Method not allowed (expected POST)');
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+
+    if (!validateRequest(req, res, 'deleteComment')) {
+        return;
+    }
+
+    try {
+        const caller = await authenticate(req, res, 'deleteComment');
+        if (!caller) {
+            return;
+        }
+
+        const {commentId} = req.body;
+
+        const owned = await loadOwnComment(caller, commentId, res, 'deleteComment');
+        if (!owned) {
+            return;
+        }
+
+        const tombstoned = await removeComment(owned.commentRef);
+
+        logger.info(`deleteComment: Comment ${commentId} ${tombstoned ? 'replaced with a tombstone' : 'deleted'}`);
+        res.status(200).json({
+            success: true,
+            tombstone: tombstoned
+        });
+    } catch (error) {
+        logger.error('deleteComment: Error deleting comment', error);
+        sendError(res, 500, 'Error deleting comment: ' + error);
+    }
+}));
+
+exports.getComments = onRequest(handleRequest('getComments', async (req, res) => {
+   logger.info('Got getting comments request');
+
+    if (req.method !== 'GET') {
+        logger.error('getComments: Method not allowed (expected GET)');
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+
+    if (!validateRequest(req, res, 'getComments')) {
+        return;
+    }
+
+    try {
+        const maskId = req.query.maskId;
+
+        const maskRef = await db.collection('masks').doc(maskId).get();
+        if (!maskRef.exists) {
+            logger.error('getComments: Mask not found');
+            sendError(res, 404, 'Mask not found');
+            return;
+        }
+
+        let {
+            parentCommentId,
+            order,
+            limit,
+            lastId
+        } = req.query;
+
+        limit = Math.min(parseInt(limit) || 20, 100);
+        const orderDirection = order === 'oldest' ? 'asc' : 'desc';
+
+        // Without a parent only top-level comments are listed; replies are paged per thread.
+        const commentsRef = db.collection('comments');
+        let commentsQuery = commentsRef
+            .where('maskId', '==', maskId)
+            .where('parentCommentId', '==', parentCommentId ? String(parentCommentId) : null)
+            .orderBy('postedOn', orderDirection);
+
+        if (lastId) {
+            const lastDoc = await commentsRef.doc(String(lastId)).get();
+            if (lastDoc.exists) {
+                commentsQuery = commentsQuery.startAfter(lastDoc);
+            }
+        }
+
+        const commentsSnapshot = await commentsQuery.limit(limit).get();
+        const comments = await withCommentAuthors(commentsSnapshot.docs.map(doc => doc.data()));
+
+        logger.info('getComments: Comments retrieved successfully');
+
+        const lastDoc = commentsSnapshot.docs[commentsSnapshot.docs.length - 1];
+        res.status(200).json({
+            comments: comments,
+            lastId: commentsSnapshot.size === limit && lastDoc ? lastDoc.id : null
+        });
+    } catch (error) {
+        logger.error('getComments: Error getting comments', error);
+        sendError(res, 500, 'Error getting comments: ' + error);
+    }
+}));
+
+exports.backfillCommentThreads = onRequest(handleRequest('backfillCommentThreads', async (req, res) => {
+   logger.info('Got backfill comment threads request');
+
+   if (req.method !== 'POST') {
+      logger.error('backfillCommentThreads: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'backfillCommentThreads')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'backfillCommentThreads');
+      if (!caller) {
+         return;
+      }
+
+      const limit = Math.min(parseInt(req.body.limit) || 200, 500);
+      const lastId = req.body.lastId;
+
+      const commentsRef = db.collection('comments');
+      let commentsQuery = commentsRef.orderBy('id');
+      if (lastId != null && lastId !== "") {
+         const lastDoc = await commentsRef.doc(String(lastId)).get();
+         if (lastDoc.exists) {
+            commentsQuery = commentsQuery.startAfter(lastDoc);
+         }
+      }
+
+      // Comments from before threads have no parentCommentId, so getComments would not list them.
+      const commentsSnapshot = await commentsQuery.limit(limit).get();
+      const batch = db.batch();
+      let updated = 0;
+      commentsSnapshot.forEach(doc => {
+         const commentData = doc.data();
+         const changes = {};
+         if (commentData.parentCommentId === undefined) {
+            changes.parentCommentId = null;
+         }
+         if (typeof commentData.replyCount !== 'number') {
+            changes.replyCount = 0;
+         }
+         if (typeof commentData.maskId !== 'string') {
+            changes.maskId = String(commentData.maskId);
+         }
+         if (Object.keys(changes).length > 0) {
+            batch.update(doc.ref, changes);
+            updated++;
+         }
+      });
+      await batch.commit();
+
+      const lastDoc = commentsSnapshot.docs[commentsSnapshot.docs.length - 1];
+      logger.info(`backfillCommentThreads: Updated ${updated} of ${commentsSnapshot.size} comments`);
+      res.status(200).json({
+         success: true,
+         updated: updated,
+         lastId: commentsSnapshot.size === limit && lastDoc ? lastDoc.id : null
+      });
+   } catch (error) {
+      logger.error('backfillCommentThreads: Error backfilling comments', error);
+      sendError(res, 500, 'Error backfilling comments: ' + error);
+   }
+}));
+
+exports.postReport = onRequest(handleRequest('postReport', async (req, res) => {
+   logger.info('Got post report request');
+
+    if (req.method !== 'POST') {
+        logger.error('postReport: Method not allowed (expected POST)');
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+
+    if (!validateRequest(req, res, 'postReport')) {
+        return;
+    }
+
+    try {
+       const caller = await authenticate(req, res, 'postReport');
+       if (!caller) {
+          return;
+       }
+
+       if (!(await claimIdempotencyKey(req, res, 'postReport', caller))) {
+          return;
+       }
+
+       if (!(await enforceRateLimits(req, res, 'postReport', caller))) {
+          return;
+       }
+
+       const {
+          reportedItemType,
+          reportedItemId,
+          reason,
+          description
+       } = req.body;
+
+       const reporterGoogleId = resolveCallerGoogleId(caller, req.body.reporterGoogleId, res, 'postReport', 'reporterGoogleId');
+       if (!reporterGoogleId) {
+          return;
+       }
+
+       const itemId = String(reportedItemId);
+       const itemRef = db.collection(reportedItemCollections[reportedItemType]).doc(itemId);
+       const itemDoc = await itemRef.get();
+       if (!itemDoc.exists || (reportedItemType === 'mask' && itemDoc.data().isRemoved && !itemDoc.data().hiddenByReports)) {
+          logger.error('postReport: Reported item not found');
+          sendError(res, 404, 'Reported item not found');
+          return;
+       }
+
+       const now = new Date().toISOString();
+
+       const reportData = {
+          reportedItemType: reportedItemType,
+          reportedItemId: itemId,
+          reporterGoogleId: reporterGoogleId,
+          reason: reason,
+          description: description || '',
+          status: 'open',
+          reportedOn: now
+       };
+
+       const openReportsQuery = db.collection('reports')
+           .where('reportedItemType', '==', reportedItemType)
+           .where('reportedItemId', '==', itemId)
+           .where('status', '==', 'open');
+
+       // Queries read inside a transaction are locked, so two reports from the same
+       // user cannot both pass the duplicate check.
+       const outcome = await db.runTransaction(async (transaction) => {
+          const openReports = await transaction.get(openReportsQuery);
+          // Review-queue flags and reports of deleted accounts have no reporter and do not count.
+          const reporters = new Set(openReports.docs.map(doc => doc.data().reporterGoogleId).filter(Boolean));
+          if (reporters.has(reporterGoogleId)) {
+             return {duplicate: true};
+          }
+
+          const itemSnapshot = await transaction.get(itemRef);
+          const reportRef = db.collection('reports').doc();
+          transaction.create(reportRef, reportData);
+
+          reporters.add(reporterGoogleId);
+          const hidden = reporters.size >= reportAutoHideThreshold.value()
+              && hideReportedItem(transaction, reportedItemType, itemSnapshot, now);
+          return {reportId: reportRef.id, hidden: hidden};
+       });
+
+       if (outcome.duplicate) {
+          logger.error('postReport: Duplicate report');
+          sendError(res, 409, 'You already have an open report for this item');
+          return;
+       }
+
+       if (outcome.hidden) {
+          logger.info(`postReport: ${reportedItemType} ${itemId} hidden pending moderator review`);
+       }
+       logger.info('postReport: Report posted successfully');
+
+       res.status(200).json({
+          success: true,
+          reportId: outcome.reportId
+       });
+    } catch (error) {
+        logger.error('postReport: Error posting report', error);
+        sendError(res, 500, 'Error posting report: ' + error);
     }
+}));
+
+const reportedItemCollections = {
+   mask: 'masks',
+   comment: 'comments',
+   user: 'users'
+};
+
+const moderationActions = ['dismiss', 'removeMask', 'deleteComment', 'restrictUser'];
+const reportAutoHideThreshold = defineInt('REPORT_AUTO_HIDE_THRESHOLD', {default: 3});
+
+/**
+ * Hides a mask or comment that enough distinct users reported, as part of the
+ * given transaction. The hiddenByReports flag marks it for moderator review.
+ * Returns whether the item was hidden by this call.
+ */
+function hideReportedItem(transaction, reportedItemType, itemSnapshot, now) {
+   const itemData = itemSnapshot.data();
+   if (reportedItemType === 'mask' && !itemData.isRemoved) {
+      transaction.update(itemSnapshot.ref, {
+         isRemoved: true,
+         hiddenByReports: true,
+         hiddenOn: now
+      });
+      return true;
+   }
+
+   if (reportedItemType === 'comment' && !itemData.isHidden && !itemData.isDeleted) {
+      transaction.update(itemSnapshot.ref, {
+         isHidden: true,
+         hiddenByReports: true,
+         hiddenOn: now
+      });
+      return true;
+   }
+
+   return false;
+}
+
+/**
+ * Adds a moderator action to the moderationLog collection as part of the given batch
+ * or transaction, so the log entry is only written if the action itself is.
+ */
+function logModerationAction(batch, moderatorGoogleId, entry) {
+   const logRef = db.collection('moderationLog').doc();
+   batch.set(logRef, {
+      ...entry,
+      moderatorGoogleId: moderatorGoogleId,
+      performedOn: new Date().toISOString()
+   });
+}
+
+exports.getReports = onRequest(handleRequest('getReports', async (req, res) => {
+   logger.info('Got getting reports request');
+
+   if (req.method !== 'GET') {
+      logger.error('getReports: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getReports')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'getReports');
+      if (!caller) {
+         return;
+      }
+
+      let {
+         limit,
+         status,
+         reportedItemType,
+         reason,
+         lastId
+      } = req.query;
+
+      limit = parseInt(limit) || 20;
+
+      if (status !== 'open' && status !== 'resolved') {
+         status = 'open';
+      }
+
+      const reportsRef = db.collection('reports');
+      let reportsQuery = reportsRef.where('status', '==', status);
+
+      if (reportedItemType) {
+         reportsQuery = reportsQuery.where('reportedItemType', '==', reportedItemType);
+      }
+
+      if (reason) {
+         reportsQuery = reportsQuery.where('reason', '==', reason);
+      }
+
+      reportsQuery = reportsQuery.orderBy('reportedOn', 'desc');
+
+      if (lastId) {
+         const lastDoc = await reportsRef.doc(lastId).get();
+         if (lastDoc.exists) {
+            reportsQuery = reportsQuery.startAfter(lastDoc);
+         }
+      }
+
+      const reportsSnapshot = await reportsQuery.limit(limit).get();
+      const reports = reportsSnapshot.docs.map(doc => ({
+         id: doc.id,
+         ...doc.data()
+      }));
+
+      logger.info(`getReports: Retrieved ${reports.length} reports`);
+
+      const lastDoc = reportsSnapshot.docs[reportsSnapshot.docs.length - 1];
+      res.status(200).json({
+         reports: reports,
+         lastId: lastDoc ? lastDoc.id : null
+      });
+   } catch (error) {
+      logger.error('getReports: Error getting reports', error);
+      sendError(res, 500, 'Error getting reports: ' + error);
+   }
+}));
+
+exports.getReport = onRequest(handleRequest('getReport', async (req, res) => {
+   logger.info('Got getting report request');
+
+   if (req.method !== 'GET') {
+      logger.error('getReport: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getReport')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'getReport');
+      if (!caller) {
+         return;
+      }
+
+      const reportId = req.query.reportId;
+
+      const reportDoc = await db.collection('reports').doc(reportId).get();
+      if (!reportDoc.exists) {
+         logger.error('getReport: Report not found');
+         sendError(res, 404, 'Report not found');
+         return;
+      }
+
+      const report = reportDoc.data();
+      let reportedItem = null;
+      const collectionName = reportedItemCollections[report.reportedItemType];
+      if (collectionName) {
+         const itemDoc = await db.collection(collectionName).doc(String(report.reportedItemId)).get();
+         if (itemDoc.exists) {
+            reportedItem = itemDoc.data();
+         }
+      }
+
+      logger.info('getReport: Report retrieved successfully');
+      res.status(200).json({
+         report: {
+            id: reportDoc.id,
+            ...report
+         },
+         reportedItem: reportedItem
+      });
+   } catch (error) {
+      logger.error('getReport: Error getting report', error);
+      sendError(res, 500, 'Error getting report: ' + error);
+   }
+}));
+
+exports.resolveReport = onRequest(handleRequest('resolveReport', async (req, res) => {
+   logger.info('Got resolve report request');
+
+   if (req.method !== 'POST') {
+      logger.error('resolveReport: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'resolveReport')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'resolveReport');
+      if (!caller) {
+         return;
+      }
+
+      const {
+         reportId,
+         action,
+         note,
+         isRemoved,
+         canUpload,
+         canComment
+      } = req.body;
+
+      const reportRef = db.collection('reports').doc(String(reportId));
+      const reportDoc = await reportRef.get();
+      if (!reportDoc.exists) {
+         logger.error('resolveReport: Report not found');
+         sendError(res, 404, 'Report not found');
+         return;
+      }
+
+      const report = reportDoc.data();
+      if (report.status === 'resolved') {
+         logger.error('resolveReport: Report already resolved');
+         sendError(res, 409, 'Report already resolved');
+         return;
+      }
+
+      const itemId = String(report.reportedItemId);
+      const batch = db.batch();
+      let removedCommentRef = null;
+      const logEntry = {
+         action: action,
+         reportId: reportDoc.id,
+         targetType: report.reportedItemType,
+         targetId: itemId,
+         note: note || ''
+      };
+
+      if (action === 'removeMask') {
+         if (report.reportedItemType !== 'mask') {
+            logger.error('resolveReport: removeMask used on a non-mask report');
+            sendError(res, 400, 'removeMask can only be used on mask reports');
+            return;
+         }
+
+         const maskRef = db.collection('masks').doc(itemId);
+         const maskDoc = await maskRef.get();
+         if (!maskDoc.exists) {
+            logger.error('resolveReport: Mask not found');
+            sendError(res, 404, 'Mask not found');
+            return;
+         }
+
+         // Moderators cannot bring back a mask its owner deleted.
+         const removed = isRemoved !== false;
+         batch.update(maskRef, {
+            isRemoved: removed || Boolean(maskDoc.data().deletedOn || maskDoc.data().purgedOn),
+            removedByModeration: removed,
+            hiddenByReports: false
+         });
+         logEntry.isRemoved = removed;
+      } else if (action === 'deleteComment') {
+         if (report.reportedItemType !== 'comment') {
+            logger.error('resolveReport: deleteComment used on a non-comment report');
+            sendError(res, 400, 'deleteComment can only be used on comment reports');
+            return;
+         }
+
+         const commentRef = db.collection('comments').doc(itemId);
+         const commentDoc = await commentRef.get();
+         if (!commentDoc.exists) {
+            logger.error('resolveReport: Comment not found');
+            sendError(res, 404, 'Comment not found');
+            return;
+         }
+
+         logEntry.deletedComment = commentDoc.data();
+         removedCommentRef = commentRef;
+      } else if (action === 'restrictUser') {
+         const permissions = {};
+         if (typeof canUpload === 'boolean') {
+            permissions.canUpload = canUpload;
+         }
+         if (typeof canComment === 'boolean') {
+            permissions.canComment = canComment;
+         }
+
+         if (Object.keys(permissions).length === 0) {
+            logger.error('resolveReport: No permissions to change');
+            sendError(res, 400, 'canUpload or canComment must be a boolean');
+            return;
+         }
+
+         // Mask and comment reports restrict the user who posted the reported item.
+         let userGoogleId = itemId;
+         const collectionName = reportedItemCollections[report.reportedItemType];
+         if (collectionName && collectionName !== 'users') {
+            const itemDoc = await db.collection(collectionName).doc(itemId).get();
+            if (!itemDoc.exists) {
+               logger.error('resolveReport: Reported item not found');
+               sendError(res, 404, 'Reported item not found');
+               return;
+            }
+            userGoogleId = itemDoc.data().uploaderGoogleId || itemDoc.data().googleId;
+         }
+
+         const userRef = db.collection('users').doc(String(userGoogleId));
+         if (!(await userRef.get()).exists) {
+            logger.error('resolveReport: User not found');
+            sendError(res, 404, 'User not found');
+            return;
+         }
+
+         batch.update(userRef, permissions);
+         logEntry.userGoogleId = String(userGoogleId);
+         logEntry.permissions = permissions;
+      }
+
+      const now = new Date().toISOString();
+
+      // Dismissing a report on an item hidden by the report threshold is the moderator's
+      // review: the item is shown again and the other open reports on it are dismissed too.
+      if (action === 'dismiss') {
+         const collectionName = reportedItemCollections[report.reportedItemType];
+         const itemDoc = collectionName ? await db.collection(collectionName).doc(itemId).get() : null;
+         if (itemDoc && itemDoc.exists && itemDoc.data().hiddenByReports) {
+            batch.update(itemDoc.ref, report.reportedItemType === 'mask'
+                ? {isRemoved: Boolean(itemDoc.data().deletedOn || itemDoc.data().purgedOn), hiddenByReports: false}
+                : {isHidden: false, hiddenByReports: false});
+            logEntry.unhidden = true;
+
+            const otherReports = await db.collection('reports')
+                .where('reportedItemType', '==', report.reportedItemType)
+                .where('reportedItemId', '==', itemId)
+                .where('status', '==', 'open')
+                .get();
+            otherReports.docs
+                .filter(doc => doc.id !== reportDoc.id)
+                .forEach(doc => batch.update(doc.ref, {
+                   status: 'resolved',
+                   resolution: {
+                      action: 'dismiss',
+                      note: `Dismissed with report ${reportDoc.id}`,
+                      moderatorGoogleId: caller.googleId,
+                      resolvedOn: now
+                   }
+                }));
+         }
+      }
+
+      const resolve = (writer) => {
+         writer.update(reportRef, {
+            status: 'resolved',
+            resolution: {
+               action: action,
+               note: note || '',
+               moderatorGoogleId: caller.googleId,
+               resolvedOn: now
+            }
+         });
+         logModerationAction(writer, caller.googleId, logEntry);
+      };
+
+      if (removedCommentRef) {
+         // The comment, the report and the log entry change together or not at all.
+         const resolved = await db.runTransaction(async (transaction) => {
+            const currentReport = await transaction.get(reportRef);
+            if (currentReport.data().status === 'resolved') {
+               return false;
+            }
+            logEntry.tombstone = await removeCommentInTransaction(transaction, removedCommentRef);
+            resolve(transaction);
+            return true;
+         });
+         if (!resolved) {
+            logger.error('resolveReport: Report already resolved');
+            sendError(res, 409, 'Report already resolved');
+            return;
+         }
+      } else {
+         resolve(batch);
+         await batch.commit();
+      }
+
+      logger.info(`resolveReport: Report ${reportDoc.id} resolved with action ${action}`);
+      res.status(200).json({
+         success: true
+      });
+   } catch (error) {
+      logger.error('resolveReport: Error resolving report', error);
+      sendError(res, 500, 'Error resolving report: ' + error);
+   }
+}));
+
+exports.backfillReportStatus = onRequest(handleRequest('backfillReportStatus', async (req, res) => {
+   logger.info('Got backfill report status request');
+
+   if (req.method !== 'POST') {
+      logger.error('backfillReportStatus: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'backfillReportStatus')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'backfillReportStatus');
+      if (!caller) {
+         return;
+      }
+
+      const limit = Math.min(parseInt(req.body.limit) || 200, 500);
+      const lastId = req.body.lastId;
+
+      // Reports filed before moderation had no status; they have not been looked at yet.
+      let reportsQuery = db.collection('reports').orderBy(FieldPath.documentId());
+      if (lastId != null && lastId !== "") {
+         reportsQuery = reportsQuery.startAfter(String(lastId));
+      }
+
+      const reportsSnapshot = await reportsQuery.limit(limit).get();
+      const batch = db.batch();
+      let updated = 0;
+      reportsSnapshot.forEach(doc => {
+         if (!doc.data().status) {
+            batch.update(doc.ref, {
+               status: 'open',
+               reportedItemId: String(doc.data().reportedItemId)
+            });
+            updated++;
+         }
+      });
+      await batch.commit();
+
+      const lastDoc = reportsSnapshot.docs[reportsSnapshot.docs.length - 1];
+      logger.info(`backfillReportStatus: Opened ${updated} of ${reportsSnapshot.size} reports`);
+      res.status(200).json({
+         success: true,
+         updated: updated,
+         lastId: reportsSnapshot.size === limit && lastDoc ? lastDoc.id : null
+      });
+   } catch (error) {
+      logger.error('backfillReportStatus: Error backfilling reports', error);
+      sendError(res, 500, 'Error backfilling reports: ' + error);
+   }
+}));
+
+function favoriteRef(googleId, maskDocId) {
+   return db.collection('favorites').doc(`${googleId}_${maskDocId}`);
+}
+
+/**
+ * Fetches masks by id, keeping the given order and leaving out missing and removed masks.
+ */
+async function getVisibleMasks(maskIds) {
+   if (maskIds.length === 0) {
+      return [];
+   }
+
+   const maskDocs = await db.getAll(...maskIds.map(maskId => db.collection('masks').doc(String(maskId))));
+   return maskDocs
+       .filter(doc => doc.exists && !doc.data().isRemoved)
+       .map(doc => toMaskSummary(doc.data()));
+}
+
+/**
+ * Adds or removes the caller's favorite and adjusts the mask's favoriteCount in one
+ * transaction. Returns false when the mask does not exist.
+ */
+async function setFavorite(googleId, maskDocId, favorited) {
+   const maskRef = db.collection('masks').doc(maskDocId);
+   const favRef = favoriteRef(googleId, maskDocId);
+
+   return db.runTransaction(async (transaction) => {
+      const maskDoc = await transaction.get(maskRef);
+      if (!maskDoc.exists) {
+         return false;
+      }
+
+      const favoriteDoc = await transaction.get(favRef);
+      if (favoriteDoc.exists === favorited) {
+         return true;
+      }
+
+      if (favorited) {
+         transaction.create(favRef, {
+            googleId: googleId,
+            maskId: maskDocId,
+            favoritedOn: new Date().toISOString()
+         });
+      } else {
+         transaction.delete(favRef);
+      }
+
+      transaction.update(maskRef, {
+         favoriteCount: Math.max((maskDoc.data().favoriteCount || 0) + (favorited ? 1 : -1), 0)
+      });
+      return true;
+   });
+}
+
+exports.favoriteMask = onRequest(handleRequest('favoriteMask', async (req, res) => {
+   logger.info('Got favorite mask request');
+
+   if (req.method !== 'POST') {
+      logger.error('favoriteMask: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'favoriteMask')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'favoriteMask');
+      if (!caller) {
+         return;
+      }
+
+      const {maskId} = req.body;
+
+      const maskDoc = await db.collection('masks').doc(String(maskId)).get();
+      if (!maskDoc.exists || maskDoc.data().isRemoved) {
+         logger.error('favoriteMask: Mask not found');
+         sendError(res, 404, 'Mask not found');
+         return;
+      }
+
+      await setFavorite(caller.googleId, String(maskId), true);
+
+      logger.info('favoriteMask: Mask favorited successfully');
+      res.status(200).json({
+         success: true
+      });
+   } catch (error) {
+      logger.error('favoriteMask: Error favoriting mask', error);
+      sendError(res, 500, 'Error favoriting mask: ' + error);
+   }
+}));
+
+exports.unfavoriteMask = onRequest(handleRequest('unfavoriteMask', async (req, res) => {
+   logger.info('Got unfavorite mask request');
+
+   if (req.method !== 'POST') {
+      logger.error('unfavoriteMask: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'unfavoriteMask')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'unfavoriteMask');
+      if (!caller) {
+         return;
+      }
+
+      const {maskId} = req.body;
+
+      const found = await setFavorite(caller.googleId, String(maskId), false);
+      if (!found) {
+         logger.error('unfavoriteMask: Mask not found');
+         sendError(res, 404, 'Mask not found');
+         return;
+      }
+
+      logger.info('unfavoriteMask: Mask unfavorited successfully');
+      res.status(200).json({
+         success: true
+      });
+   } catch (error) {
+      logger.error('unfavoriteMask: Error unfavoriting mask', error);
+      sendError(res, 500, 'Error unfavoriting mask: ' + error);
+   }
+}));
+
+exports.getFavorites = onRequest(handleRequest('getFavorites', async (req, res) => {
+   logger.info('Got getting favorites request');
+
+   if (req.method !== 'GET') {
+      logger.error('getFavorites: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getFavorites')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'getFavorites');
+      if (!caller) {
+         return;
+      }
+
+      let {
+         limit,
+         lastId
+      } = req.query;
+
+      limit = parseInt(limit) || 20;
+
+      const favoritesRef = db.collection('favorites');
+      let favoritesQuery = favoritesRef
+          .where('googleId', '==', caller.googleId)
+          .orderBy('favoritedOn', 'desc');
+
+      if (lastId) {
+         const lastDoc = await favoritesRef.doc(String(lastId)).get();
+         if (lastDoc.exists) {
+            favoritesQuery = favoritesQuery.startAfter(lastDoc);
+         }
+      }
+
+      const favoritesSnapshot = await favoritesQuery.limit(limit).get();
+      const masks = await getVisibleMasks(favoritesSnapshot.docs.map(doc => doc.data().maskId));
+
+      logger.info(`getFavorites: Retrieved ${masks.length} favorite masks`);
+
+      // A page can hold fewer than `limit` masks when favorites point to removed masks.
+      const lastDoc = favoritesSnapshot.docs[favoritesSnapshot.docs.length - 1];
+      res.status(200).json({
+         masks: masks,
+         lastId: favoritesSnapshot.size === limit && lastDoc ? lastDoc.id : null
+      });
+   } catch (error) {
+      logger.error('getFavorites: Error getting favorites', error);
+      sendError(res, 500, 'Error getting favorites: ' + error);
+   }
+}));
+
+const maxCollectionSize = 500;
+
+/**
+ * Checks a client-supplied list of mask ids for a collection. Duplicates are dropped
+ * and every mask must exist. Returns the ids as strings, or null after sending a 400/404.
+ */
+async function validateCollectionMaskIds(maskIds, res, endpoint) {
+   if (!Array.isArray(maskIds)) {
+      logger.error(`${endpoint}: maskIds is not an array`);
+      sendError(res, 400, 'maskIds must be an array');
+      return null;
+   }
+
+   const uniqueIds = [...new Set(maskIds.map(String))];
+   if (uniqueIds.length > maxCollectionSize) {
+      logger.error(`${endpoint}: Too many masks`);
+      sendError(res, 400, `A collection can hold at most ${maxCollectionSize} masks`);
+      return null;
+   }
+
+   if (uniqueIds.length > 0) {
+      const maskDocs = await db.getAll(...uniqueIds.map(maskId => db.collection('masks').doc(maskId)));
+      const missing = maskDocs.find(doc => !doc.exists);
+      if (missing) {
+         logger.error(`${endpoint}: Mask not found`);
+         sendError(res, 404, `Mask ${missing.id} not found`);
+         return null;
+      }
+   }
+
+   return uniqueIds;
+}
+
+/**
+ * Loads a collection the caller owns. Returns {collectionRef, collectionData},
+ * or null after sending 404/403.
+ */
+async function loadOwnCollection(caller, collectionId, res, endpoint) {
+   const collectionRef = db.collection('collections').doc(String(collectionId));
+   const collectionDoc = await collectionRef.get();
+   if (!collectionDoc.exists) {
+      logger.error(`${endpoint}: Collection not found`);
+      sendError(res, 404, 'Collection not found');
+      return null;
+   }
+
+   if (collectionDoc.data().ownerGoogleId !== caller.googleId) {
+      logger.error(`${endpoint}: Caller does not own the collection`);
+      sendError(res, 403, 'Only the owner can change this collection');
+      return null;
+   }
+
+   return {collectionRef, collectionData: collectionDoc.data()};
+}
+
+exports.createCollection = onRequest(handleRequest('createCollection', async (req, res) => {
+   logger.info('Got create collection request');
+
+   if (req.method !== 'POST') {
+      logger.error('createCollection: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'createCollection')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'createCollection');
+      if (!caller) {
+         return;
+      }
+
+      const {
+         name,
+         isPublic,
+         maskIds
+      } = req.body;
+
+      const validMaskIds = await validateCollectionMaskIds(maskIds || [], res, 'createCollection');
+      if (!validMaskIds) {
+         return;
+      }
+
+      const now = new Date().toISOString();
+      const collectionRef = db.collection('collections').doc();
+      await collectionRef.set({
+         id: collectionRef.id,
+         ownerGoogleId: caller.googleId,
+         name: name,
+         isPublic: isPublic === true,
+         maskIds: validMaskIds,
+         createdOn: now,
+         updatedOn: now
+      });
+
+      logger.info(`createCollection: Collection ${collectionRef.id} created`);
+      res.status(200).json({
+         success: true,
+         collectionId: collectionRef.id
+      });
+   } catch (error) {
+      logger.error('createCollection: Error creating collection', error);
+      sendError(res, 500, 'Error creating collection: ' + error);
+   }
+}));
+
+exports.updateCollection = onRequest(handleRequest('updateCollection', async (req, res) => {
+   logger.info('Got update collection request');
+
+   if (req.method !== 'POST') {
+      logger.error('updateCollection: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'updateCollection')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'updateCollection');
+      if (!caller) {
+         return;
+      }
+
+      const {
+         collectionId,
+         name,
+         isPublic,
+         maskIds
+      } = req.body;
+
+      const owned = await loadOwnCollection(caller, collectionId, res, 'updateCollection');
+      if (!owned) {
+         return;
+      }
+
+      const changes = {};
+      if (name != null) {
+         changes.name = name;
+      }
+      if (typeof isPublic === 'boolean') {
+         changes.isPublic = isPublic;
+      }
+      // maskIds replaces the whole list, which covers adding, removing and reordering.
+      if (maskIds != null) {
+         const validMaskIds = await validateCollectionMaskIds(maskIds, res, 'updateCollection');
+         if (!validMaskIds) {
+            return;
+         }
+         changes.maskIds = validMaskIds;
+      }
+
+      if (Object.keys(changes).length === 0) {
+         logger.error('updateCollection: Nothing to update');
+         sendError(res, 400, 'Nothing to update');
+         return;
+      }
+
+      changes.updatedOn = new Date().toISOString();
+      await owned.collectionRef.update(changes);
+
+      logger.info(`updateCollection: Collection ${collectionId} updated`);
+      res.status(200).json({
+         success: true
+      });
+   } catch (error) {
+      logger.error('updateCollection: Error updating collection', error);
+      sendError(res, 500, 'Error updating collection: ' + error);
+   }
+}));
+
+exports.deleteCollection = onRequest(handleRequest('deleteCollection', async (req, res) => {
+   logger.info('Got delete collection request');
+
+   if (req.method !== 'POST') {
+      logger.error('deleteCollection: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'deleteCollection')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'deleteCollection');
+      if (!caller) {
+         return;
+      }
+
+      const {collectionId} = req.body;
+
+      const owned = await loadOwnCollection(caller, collectionId, res, 'deleteCollection');
+      if (!owned) {
+         return;
+      }
+
+      await owned.collectionRef.delete();
+
+      logger.info(`deleteCollection: Collection ${collectionId} deleted`);
+      res.status(200).json({
+         success: true
+      });
+   } catch (error) {
+      logger.error('deleteCollection: Error deleting collection', error);
+      sendError(res, 500, 'Error deleting collection: ' + error);
+   }
+}));
+
+exports.getCollection = onRequest(handleRequest('getCollection', async (req, res) => {
+   logger.info('Got getting collection request');
+
+   if (req.method !== 'GET') {
+      logger.error('getCollection: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getCollection')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateOptional(req, res, 'getCollection');
+      if (caller === null) {
+         return;
+      }
+
+      const collectionId = req.query.collectionId;
+
+      const collectionDoc = await db.collection('collections').doc(String(collectionId)).get();
+      const collectionData = collectionDoc.exists ? collectionDoc.data() : null;
+      if (!collectionData || (!collectionData.isPublic && (!caller || caller.googleId !== collectionData.ownerGoogleId))) {
+         logger.error('getCollection: Collection not found');
+         sendError(res, 404, 'Collection not found');
+         return;
+      }
+
+      const masks = await getVisibleMasks(collectionData.maskIds || []);
+
+      logger.info('getCollection: Collection retrieved successfully');
+      res.status(200).json({
+         ...collectionData,
+         maskIds: masks.map(mask => String(mask.id)),
+         masks: masks
+      });
+   } catch (error) {
+      logger.error('getCollection: Error getting collection', error);
+      sendError(res, 500, 'Error getting collection: ' + error);
+   }
+}));
+
+exports.getCollections = onRequest(handleRequest('getCollections', async (req, res) => {
+   logger.info('Got getting collections request');
+
+   if (req.method !== 'GET') {
+      logger.error('getCollections: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getCollections')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateOptional(req, res, 'getCollections');
+      if (caller === null) {
+         return;
+      }
+
+      const googleId = req.query.googleId || (caller && caller.googleId);
+      if (!googleId) {
+         logger.error('getCollections: Missing googleId');
+         sendError(res, 400, 'Missing googleId');
+         return;
+      }
+
+      let collectionsQuery = db.collection('collections').where('ownerGoogleId', '==', googleId);
+      if (!caller || caller.googleId !== googleId) {
+         collectionsQuery = collectionsQuery.where('isPublic', '==', true);
+      }
+
+      const collectionsSnapshot = await collectionsQuery.orderBy('updatedOn', 'desc').get();
+      const collections = collectionsSnapshot.docs.map(doc => doc.data());
+
+      logger.info(`getCollections: Retrieved ${collections.length} collections`);
+      res.status(200).json({
+         collections: collections
+      });
+   } catch (error) {
+      logger.error('getCollections: Error getting collections', error);
+      sendError(res, 500, 'Error getting collections: ' + error);
+   }
+}));
+
+exports.getOpenApi = onRequest(handleRequest('getOpenApi', async (req, res) => {
+   logger.info('Got getting OpenAPI document request');
+
+   if (req.method !== 'GET') {
+      logger.error('getOpenApi: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   const region = process.env.FUNCTION_REGION || 'us-central1';
+   const serverUrl = `https://${region}-${process.env.GCLOUD_PROJECT}.cloudfunctions.net`;
+   res.status(200).json(buildOpenApiDocument(serverUrl));
+}));
+
+exports.getRateLimits = onRequest(handleRequest('getRateLimits', async (req, res) => {
+   logger.info('Got getting rate limits request');
+
+   if (req.method !== 'GET') {
+      logger.error('getRateLimits: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getRateLimits')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'getRateLimits');
+      if (!caller) {
+         return;
+      }
+
+      const countersSnapshot = await db.collection('rateLimits')
+          .where('scope', '==', 'user')
+          .where('key', '==', req.query.googleId)
+          .get();
+
+      const nowMillis = Date.now();
+      const counters = countersSnapshot.docs
+          .map(doc => doc.data())
+          .filter(counter => nowMillis < counter.windowStart + counter.windowSeconds * 1000)
+          .map(counter => ({
+             endpoint: counter.endpoint,
+             limit: counter.limit,
+             windowSeconds: counter.windowSeconds,
+             count: counter.count,
+             resetsOn: new Date(counter.windowStart + counter.windowSeconds * 1000).toISOString()
+          }));
+
+      logger.info(`getRateLimits: Retrieved ${counters.length} active counters`);
+      res.status(200).json({
+         googleId: req.query.googleId,
+         counters: counters
+      });
+   } catch (error) {
+      logger.error('getRateLimits: Error getting rate limits', error);
+      sendError(res, 500, 'Error getting rate limits: ' + error);
+   }
+}));
+
+exports.resetRateLimits = onRequest(handleRequest('resetRateLimits', async (req, res) => {
+   logger.info('Got reset rate limits request');
+
+   if (req.method !== 'POST') {
+      logger.error('resetRateLimits: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'resetRateLimits')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'resetRateLimits');
+      if (!caller) {
+         return;
+      }
+
+      const {
+         googleId,
+         endpoint
+      } = req.body;
+
+      let countersQuery = db.collection('rateLimits')
+          .where('scope', '==', 'user')
+          .where('key', '==', googleId);
+      if (endpoint) {
+         countersQuery = countersQuery.where('endpoint', '==', endpoint);
+      }
+
+      const reset = await deleteQueryInBatches(countersQuery);
+
+      const batch = db.batch();
+      logModerationAction(batch, caller.googleId, {
+         action: 'resetRateLimits',
+         targetType: 'user',
+         targetId: googleId,
+         endpoint: endpoint || null,
+         countersReset: reset
+      });
+      await batch.commit();
+
+      logger.info(`resetRateLimits: Reset ${reset} counters`);
+      res.status(200).json({
+         success: true,
+         reset: reset
+      });
+   } catch (error) {
+      logger.error('resetRateLimits: Error resetting rate limits', error);
+      sendError(res, 500, 'Error resetting rate limits: ' + error);
+   }
+}));
+
+const notificationGroupMinutes = defineInt('NOTIFICATION_GROUP_MINUTES', {default: 60});
+const grpcAlreadyExists = 6;
+
+/**
+ * Creates a notification for a user. Nobody is notified about their own actions.
+ * The id is derived from the trigger event, so a redelivered event does not
+ * notify twice.
+ */
+async function notify(notificationId, recipientGoogleId, actorGoogleId, notification) {
+   if (!recipientGoogleId || recipientGoogleId === actorGoogleId) {
+      return;
+   }
+
+   const now = new Date().toISOString();
+   try {
+      await db.collection('notifications').doc(notificationId).create({
+         ...notification,
+         recipientGoogleId: recipientGoogleId,
+         actorGoogleIds: actorGoogleId ? [actorGoogleId] : [],
+         count: 1,
+         read: false,
+         createdOn: now,
+         updatedOn: now
+      });
+   } catch (error) {
+      if (error.code !== grpcAlreadyExists) {
+         throw error;
+      }
+   }
+}
+
+/**
+ * Notifies the uploader about a rating. Ratings on the same mask within
+ * NOTIFICATION_GROUP_MINUTES are folded into one unread notification; otherwise
+ * the notification is created under notificationId, which a redelivered event
+ * finds and leaves alone.
+ */
+async function notifyRating(notificationId, maskId, raterGoogleId) {
+   const maskDoc = await db.collection('masks').doc(maskId).get();
+   if (!maskDoc.exists) {
+      return;
+   }
+
+   const uploaderGoogleId = maskDoc.data().uploaderGoogleId;
+   if (!uploaderGoogleId || uploaderGoogleId === raterGoogleId) {
+      return;
+   }
+
+   const now = new Date();
+   const windowStart = new Date(now.getTime() - notificationGroupMinutes.value() * 60 * 1000).toISOString();
+   const recentQuery = db.collection('notifications')
+       .where('recipientGoogleId', '==', uploaderGoogleId)
+       .where('type', '==', 'rating')
+       .where('maskId', '==', maskId)
+       .where('read', '==', false)
+       .where('createdOn', '>=', windowStart)
+       .orderBy('createdOn', 'desc')
+       .limit(1);
+
+   const notificationRef = db.collection('notifications').doc(notificationId);
+
+   await db.runTransaction(async (transaction) => {
+      const notificationDoc = await transaction.get(notificationRef);
+      if (notificationDoc.exists) {
+         return;
+      }
+
+      const recent = await transaction.get(recentQuery);
+      if (!recent.empty) {
+         const grouped = recent.docs[0];
+         const alreadyCounted = grouped.data().actorGoogleIds.includes(raterGoogleId);
+         transaction.update(grouped.ref, {
+            actorGoogleIds: FieldValue.arrayUnion(raterGoogleId),
+            count: alreadyCounted ? grouped.data().count : grouped.data().count + 1,
+            updatedOn: now.toISOString()
+         });
+         return;
+      }
+
+      transaction.create(notificationRef, {
+         type: 'rating',
+         maskId: maskId,
+         maskName: maskDoc.data().maskName,
+         recipientGoogleId: uploaderGoogleId,
+         actorGoogleIds: [raterGoogleId],
+         count: 1,
+         read: false,
+         createdOn: now.toISOString(),
+         updatedOn: now.toISOString()
+      });
+   });
+}
+
+exports.notifyOnRating = onDocumentWritten('ratings/{ratingId}', async (event) => {
+   const before = event.data.before.exists ? event.data.before.data() : null;
+   const after = event.data.after.exists ? event.data.after.data() : null;
+
+   // Deleted ratings and unchanged values do not notify anyone.
+   if (!after || (before && before.rating === after.rating)) {
+      return;
+   }
+
+   try {
+      await notifyRating(event.id, String(after.maskId), after.googleId);
+   } catch (error) {
+      logger.error('notifyOnRating: Error creating notification', error);
+   }
+});
+
+exports.notifyOnComment = onDocumentCreated('comments/{commentId}', async (event) => {
+   const comment = event.data.data();
+
+   try {
+      const maskDoc = await db.collection('masks').doc(String(comment.maskId)).get();
+      const maskData = maskDoc.exists ? maskDoc.data() : {};
+
+      let parentAuthor = null;
+      if (comment.parentCommentId) {
+         const parentDoc = await db.collection('comments').doc(comment.parentCommentId).get();
+         if (parentDoc.exists && !parentDoc.data().isDeleted) {
+            parentAuthor = parentDoc.data().googleId;
+            await notify(`${event.id}_reply`, parentAuthor, comment.googleId, {
+               type: 'reply',
+               maskId: String(comment.maskId),
+               maskName: maskData.maskName || null,
+               commentId: String(comment.id),
+               parentCommentId: comment.parentCommentId
+            });
+         }
+      }
+
+      // An uploader replied to on their own mask gets the reply notification only.
+      if (maskData.uploaderGoogleId && maskData.uploaderGoogleId !== parentAuthor) {
+         await notify(`${event.id}_comment`, maskData.uploaderGoogleId, comment.googleId, {
+            type: 'comment',
+            maskId: String(comment.maskId),
+            maskName: maskData.maskName || null,
+            commentId: String(comment.id)
+         });
+      }
+   } catch (error) {
+      logger.error('notifyOnComment: Error creating notification', error);
+   }
+});
+
+exports.notifyOnModeration = onDocumentCreated('moderationLog/{entryId}', async (event) => {
+   const entry = event.data.data();
+
+   try {
+      let recipientGoogleId = null;
+      const notification = {
+         type: 'moderation',
+         action: entry.action,
+         targetType: entry.targetType,
+         targetId: entry.targetId
+      };
+
+      if (entry.action === 'removeMask') {
+         const maskDoc = await db.collection('masks').doc(entry.targetId).get();
+         recipientGoogleId = maskDoc.exists ? maskDoc.data().uploaderGoogleId : null;
+         notification.maskId = entry.targetId;
+         notification.isRemoved = entry.isRemoved;
+      } else if (entry.action === 'deleteComment') {
+         recipientGoogleId = entry.deletedComment ? entry.deletedComment.googleId : null;
+         notification.maskId = entry.deletedComment ? entry.deletedComment.maskId : null;
+      } else if (entry.action === 'restrictUser') {
+         recipientGoogleId = entry.userGoogleId;
+         notification.permissions = entry.permissions;
+      } else if (entry.action === 'dismiss' && entry.unhidden && entry.targetType !== 'user') {
+         const itemDoc = await db.collection(reportedItemCollections[entry.targetType]).doc(entry.targetId).get();
+         if (itemDoc.exists) {
+            recipientGoogleId = itemDoc.data().uploaderGoogleId || itemDoc.data().googleId;
+            notification.maskId = entry.targetType === 'mask' ? entry.targetId : String(itemDoc.data().maskId);
+         }
+      } else {
+         return;
+      }
+
+      // Moderators stay anonymous to the user they acted on.
+      await notify(event.id, recipientGoogleId, null, notification);
+   } catch (error) {
+      logger.error('notifyOnModeration: Error creating notification', error);
+   }
+});
+
+exports.getNotifications = onRequest(handleRequest('getNotifications', async (req, res) => {
+   logger.info('Got getting notifications request');
+
+   if (req.method !== 'GET') {
+      logger.error('getNotifications: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getNotifications')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'getNotifications');
+      if (!caller) {
+         return;
+      }
+
+      let {
+         limit,
+         lastId
+      } = req.query;
+
+      limit = parseInt(limit) || 20;
+
+      const notificationsRef = db.collection('notifications');
+      let notificationsQuery = notificationsRef
+          .where('recipientGoogleId', '==', caller.googleId)
+          .orderBy('updatedOn', 'desc');
+
+      if (lastId) {
+         const lastDoc = await notificationsRef.doc(String(lastId)).get();
+         if (lastDoc.exists) {
+            notificationsQuery = notificationsQuery.startAfter(lastDoc);
+         }
+      }
+
+      const [notificationsSnapshot, unreadSnapshot] = await Promise.all([
+         notificationsQuery.limit(limit).get(),
+         notificationsRef
+             .where('recipientGoogleId', '==', caller.googleId)
+             .where('read', '==', false)
+             .count()
+             .get()
+      ]);
+
+      const notifications = notificationsSnapshot.docs.map(doc => ({
+         id: doc.id,
+         ...doc.data()
+      }));
+
+      logger.info(`getNotifications: Retrieved ${notifications.length} notifications`);
+
+      const lastDoc = notificationsSnapshot.docs[notificationsSnapshot.docs.length - 1];
+      res.status(200).json({
+         notifications: notifications,
+         unreadCount: unreadSnapshot.data().count,
+         lastId: notificationsSnapshot.size === limit && lastDoc ? lastDoc.id : null
+      });
+   } catch (error) {
+      logger.error('getNotifications: Error getting notifications', error);
+      sendError(res, 500, 'Error getting notifications: ' + error);
+   }
+}));
+
+exports.markNotificationsRead = onRequest(handleRequest('markNotificationsRead', async (req, res) => {
+   logger.info('Got mark notifications read request');
+
+   if (req.method !== 'POST') {
+      logger.error('markNotificationsRead: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'markNotificationsRead')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticate(req, res, 'markNotificationsRead');
+      if (!caller) {
+         return;
+      }
+
+      const {
+         notificationIds,
+         all
+      } = req.body;
+
+      if (all !== true && (!notificationIds || notificationIds.length === 0)) {
+         logger.error('markNotificationsRead: Nothing to mark');
+         sendError(res, 400, 'notificationIds or all is required');
+         return;
+      }
+
+      const now = new Date().toISOString();
+      let marked = 0;
+
+      if (all === true) {
+         marked = await updateQueryInBatches(
+             db.collection('notifications')
+                 .where('recipientGoogleId', '==', caller.googleId)
+                 .where('read', '==', false),
+             {read: true, readOn: now});
+      } else {
+         const notificationDocs = await db.getAll(...notificationIds.map(id => db.collection('notifications').doc(id)));
+         const batch = db.batch();
+         notificationDocs
+             .filter(doc => doc.exists && doc.data().recipientGoogleId === caller.googleId && !doc.data().read)
+             .forEach(doc => {
+                batch.update(doc.ref, {read: true, readOn: now});
+                marked++;
+             });
+         await batch.commit();
+      }
+
+      logger.info(`markNotificationsRead: Marked ${marked} notifications read`);
+      res.status(200).json({
+         success: true,
+         marked: marked
+      });
+   } catch (error) {
+      logger.error('markNotificationsRead: Error marking notifications read', error);
+      sendError(res, 500, 'Error marking notifications read: ' + error);
+   }
+}));
+
+const webhookMaxAttempts = defineInt('WEBHOOK_MAX_ATTEMPTS', {default: 8});
+const webhookRetryTimeoutSeconds = 120;
+const webhookRetryConcurrency = 10;
+// An attempt takes at most webhookTimeoutMs plus a few Firestore calls, so each of
+// the concurrent senders gets as many attempts as fit twice over in the run's timeout.
+const webhookDeliveriesPerRun = webhookRetryConcurrency
+    * Math.floor(webhookRetryTimeoutSeconds * 1000 / (2 * webhookTimeoutMs));
+
+/**
+ * Writes an event to the `webhookEvents` outbox. Deliveries to the subscribed
+ * webhooks are created from it by fanOutWebhookEvent.
+ */
+async function recordWebhookEvent(type, data) {
+   await db.collection('webhookEvents').add({
+      type: type,
+      data: data,
+      createdOn: new Date().toISOString()
+   });
+}
+
+/**
+ * Sends a pending delivery once. The delivery is claimed in a transaction first, so
+ * the scheduled retry and the first attempt cannot send the same delivery twice.
+ * Failures are retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS, after
+ * which the delivery is dead-lettered with status 'failed'.
+ */
+async function attemptWebhookDelivery(deliveryRef) {
+   const now = new Date();
+   const delivery = await db.runTransaction(async (transaction) => {
+      const deliveryDoc = await transaction.get(deliveryRef);
+      if (!deliveryDoc.exists || deliveryDoc.data().status !== 'pending'
+          || new Date(deliveryDoc.data().nextAttemptOn) > now) {
+         return null;
+      }
+
+      transaction.update(deliveryRef, {
+         nextAttemptOn: new Date(now.getTime() + 2 * webhookTimeoutMs).toISOString()
+      });
+      return deliveryDoc.data();
+   });
+
+   if (!delivery) {
+      return;
+   }
+
+   const [webhookDoc, eventDoc] = await db.getAll(
+       db.collection('webhooks').doc(delivery.webhookId),
+       db.collection('webhookEvents').doc(delivery.eventId));
+
+   if (!webhookDoc.exists || !webhookDoc.data().active || !eventDoc.exists) {
+      await deliveryRef.update({
+         status: 'failed',
+         lastError: 'Webhook or event no longer exists',
+         failedOn: now.toISOString()
+      });
+      return;
+   }
+
+   const result = await sendEvent(webhookDoc.data(), deliveryRef.id, eventDoc.id, eventDoc.data(), now);
+   const update = attemptResult(delivery, result, webhookMaxAttempts.value());
+   await deliveryRef.update(update);
+
+   if (result.error) {
+      logger.error(`Webhook delivery ${deliveryRef.id} failed (attempt ${update.attempts}): ${result.error}`);
+   } else {
+      logger.info(`Delivered webhook event ${eventDoc.id} to ${delivery.webhookId}`);
+   }
+}
+
+exports.publishMaskEvents = onDocumentWritten('masks/{maskId}', async (event) => {
+   const before = event.data.before.exists ? event.data.before.data() : null;
+   const after = event.data.after.exists ? event.data.after.data() : null;
+   if (!after) {
+      return;
+   }
+
+   // Counters and rankings change on every rating and use; only new versions are updates.
+   let type = null;
+   if (!before) {
+      type = 'mask.created';
+   } else if (after.isRemoved && !before.isRemoved) {
+      type = 'mask.removed';
+   } else if ((after.version || 1) !== (before.version || 1)) {
+      type = 'mask.updated';
+   }
+
+   if (!type) {
+      return;
+   }
+
+   try {
+      const {imageVariants, ratingHistogram, searchTokens, maskNameLower, tagsLower, ...mask} = after;
+      await recordWebhookEvent(type, {maskId: event.params.maskId, mask: type === 'mask.removed' ? {id: after.id} : mask});
+   } catch (error) {
+      logger.error('publishMaskEvents: Error recording event', error);
+   }
+});
+
+exports.publishCommentEvents = onDocumentCreated('comments/{commentId}', async (event) => {
+   const comment = event.data.data();
+
+   try {
+      await recordWebhookEvent('comment.posted', {
+         commentId: event.params.commentId,
+         maskId: String(comment.maskId),
+         googleId: comment.googleId,
+         parentCommentId: comment.parentCommentId || null,
+         comment: comment.comment,
+         postedOn: comment.postedOn
+      });
+   } catch (error) {
+      logger.error('publishCommentEvents: Error recording event', error);
+   }
+});
+
+exports.publishRatingEvents = onDocumentWritten('ratings/{ratingId}', async (event) => {
+   const before = event.data.before.exists ? event.data.before.data() : null;
+   const after = event.data.after.exists ? event.data.after.data() : null;
+   if (!after || (before && before.rating === after.rating)) {
+      return;
+   }
+
+   try {
+      await recordWebhookEvent('rating.posted', {
+         maskId: String(after.maskId),
+         googleId: after.googleId,
+         rating: after.rating,
+         previousRating: before ? before.rating : null
+      });
+   } catch (error) {
+      logger.error('publishRatingEvents: Error recording event', error);
+   }
+});
+
+exports.publishReportEvents = onDocumentCreated('reports/{reportId}', async (event) => {
+   const report = event.data.data();
+
+   // Reporters are not named to receivers.
+   try {
+      await recordWebhookEvent('report.filed', {
+         reportId: event.params.reportId,
+         reportedItemType: report.reportedItemType,
+         reportedItemId: String(report.reportedItemId),
+         reason: report.reason,
+         reportedOn: report.reportedOn
+      });
+   } catch (error) {
+      logger.error('publishReportEvents: Error recording event', error);
+   }
+});
+
+exports.fanOutWebhookEvent = onDocumentCreated('webhookEvents/{eventId}', async (event) => {
+   const webhookEvent = event.data.data();
+
+   try {
+      const webhooksSnapshot = await db.collection('webhooks')
+          .where('active', '==', true)
+          .where('eventTypes', 'array-contains', webhookEvent.type)
+          .get();
+
+      const now = new Date().toISOString();
+      const deliveryRefs = webhooksSnapshot.docs.map(webhookDoc => {
+         const deliveryRef = db.collection('webhookDeliveries').doc(`${event.params.eventId}_${webhookDoc.id}`);
+         return {deliveryRef, webhookId: webhookDoc.id};
+      });
+
+      const batch = db.batch();
+      deliveryRefs.forEach(({deliveryRef, webhookId}) => batch.create(deliveryRef, {
+         webhookId: webhookId,
+         eventId: event.params.eventId,
+         eventType: webhookEvent.type,
+         status: 'pending',
+         attempts: 0,
+         createdOn: now,
+         nextAttemptOn: now
+      }));
+      await batch.commit();
+
+      await Promise.all(deliveryRefs.map(({deliveryRef}) => attemptWebhookDelivery(deliveryRef)));
+   } catch (error) {
+      logger.error('fanOutWebhookEvent: Error delivering event', error);
+   }
+});
+
+exports.retryWebhookDeliveries = onSchedule({
+   schedule: 'every 1 minutes',
+   timeoutSeconds: webhookRetryTimeoutSeconds
+}, async () => {
+   const dueSnapshot = await db.collection('webhookDeliveries')
+       .where('status', '==', 'pending')
+       .where('nextAttemptOn', '<=', new Date().toISOString())
+       .orderBy('nextAttemptOn')
+       .limit(webhookDeliveriesPerRun)
+       .get();
+
+   // A slow receiver only holds up the sender it is assigned to.
+   const due = [...dueSnapshot.docs];
+   const sendNext = async () => {
+      for (let deliveryDoc = due.shift(); deliveryDoc; deliveryDoc = due.shift()) {
+         try {
+            await attemptWebhookDelivery(deliveryDoc.ref);
+         } catch (error) {
+            logger.error(`retryWebhookDeliveries: Error retrying delivery ${deliveryDoc.id}`, error);
+         }
+      }
+   };
+   await Promise.all(Array.from({length: webhookRetryConcurrency}, sendNext));
+});
+
+/**
+ * A webhook as returned to admins. The signing secret is only shown once, by createWebhook.
+ */
+function toWebhookSummary(webhookDoc) {
+   const {secret, ...webhook} = webhookDoc.data();
+   return {
+      id: webhookDoc.id,
+      ...webhook
+   };
+}
+
+exports.createWebhook = onRequest(handleRequest('createWebhook', async (req, res) => {
+   logger.info('Got create webhook request');
 
-    try {
-        const maskId = req.query.maskId;
-        if (maskId === "" || maskId == null) {
-            logger.error('getComments: maskId is empty');
-            res.status(400).send('maskId is empty');
-            return;
-        }
+   if (req.method !== 'POST') {
+      logger.error('createWebhook: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
 
-        const maskRef = await db.collection('masks').doc(maskId).get();
-        if (!maskRef.exists) {
-            logger.error('getComments: Mask not found');
-            res.status(404).send('Mask not found');
-            return;
-        }
+   if (!validateRequest(req, res, 'createWebhook')) {
+      return;
+   }
 
-        const commentsSnapshot = await db.collection('comments').where('maskId', '==', maskId).orderBy('postedOn', 'desc').get();
-        const comments = [];
-        commentsSnapshot.forEach(doc => {
-            comments.push(doc.data());
-        });
+   try {
+      const caller = await authenticateAdmin(req, res, 'createWebhook');
+      if (!caller) {
+         return;
+      }
 
-        logger.info('getComments: Comments retrieved successfully');
-        res.status(200).json(comments);
-    } catch (error) {
-        logger.error('getComments: Error getting comments', error);
-        res.status(500).json({
-            success: false,
-            error: 'Error getting comments: ' + error
-        });
-    }
+      const {
+         url,
+         eventTypes,
+         description
+      } = req.body;
+
+      let parsed;
+      try {
+         parsed = new URL(url);
+      } catch (error) {
+         parsed = null;
+      }
+      if (!parsed || (parsed.protocol !== 'https:' && parsed.protocol !== 'http:')) {
+         logger.error('createWebhook: Invalid URL');
+         sendError(res, 400, 'url must be an http or https URL');
+         return;
+      }
+
+      const secret = crypto.randomBytes(32).toString('hex');
+      const webhookRef = await db.collection('webhooks').add({
+         url: url,
+         eventTypes: [...new Set(eventTypes)],
+         description: description || '',
+         secret: secret,
+         active: true,
+         createdByGoogleId: caller.googleId,
+         createdOn: new Date().toISOString()
+      });
+
+      logger.info(`createWebhook: Webhook ${webhookRef.id} created`);
+      res.status(200).json({
+         success: true,
+         webhookId: webhookRef.id,
+         secret: secret
+      });
+   } catch (error) {
+      logger.error('createWebhook: Error creating webhook', error);
+      sendError(res, 500, 'Error creating webhook: ' + error);
+   }
+}));
+
+exports.getWebhooks = onRequest(handleRequest('getWebhooks', async (req, res) => {
+   logger.info('Got getting webhooks request');
+
+   if (req.method !== 'GET') {
+      logger.error('getWebhooks: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getWebhooks')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'getWebhooks');
+      if (!caller) {
+         return;
+      }
+
+      const webhooksSnapshot = await db.collection('webhooks').orderBy('createdOn', 'desc').get();
+      const webhooks = webhooksSnapshot.docs.map(toWebhookSummary);
+
+      logger.info(`getWebhooks: Retrieved ${webhooks.length} webhooks`);
+      res.status(200).json({
+         webhooks: webhooks
+      });
+   } catch (error) {
+      logger.error('getWebhooks: Error getting webhooks', error);
+      sendError(res, 500, 'Error getting webhooks: ' + error);
+   }
+}));
+
+exports.deleteWebhook = onRequest(handleRequest('deleteWebhook', async (req, res) => {
+   logger.info('Got delete webhook request');
+
+   if (req.method !== 'POST') {
+      logger.error('deleteWebhook: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'deleteWebhook')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'deleteWebhook');
+      if (!caller) {
+         return;
+      }
+
+      const webhookRef = db.collection('webhooks').doc(req.body.webhookId);
+      if (!(await webhookRef.get()).exists) {
+         logger.error('deleteWebhook: Webhook not found');
+         sendError(res, 404, 'Webhook not found');
+         return;
+      }
+
+      // Deliveries keep their history; pending ones fail on their next attempt.
+      await webhookRef.update({
+         active: false,
+         deletedOn: new Date().toISOString()
+      });
+
+      logger.info(`deleteWebhook: Webhook ${webhookRef.id} deactivated`);
+      res.status(200).json({
+         success: true
+      });
+   } catch (error) {
+      logger.error('deleteWebhook: Error deleting webhook', error);
+      sendError(res, 500, 'Error deleting webhook: ' + error);
+   }
+}));
+
+exports.getWebhookDeliveries = onRequest(handleRequest('getWebhookDeliveries', async (req, res) => {
+   logger.info('Got getting webhook deliveries request');
+
+   if (req.method !== 'GET') {
+      logger.error('getWebhookDeliveries: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getWebhookDeliveries')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'getWebhookDeliveries');
+      if (!caller) {
+         return;
+      }
+
+      let {
+         webhookId,
+         status,
+         limit,
+         lastId
+      } = req.query;
+
+      limit = parseInt(limit) || 20;
+
+      const deliveriesRef = db.collection('webhookDeliveries');
+      let deliveriesQuery = deliveriesRef;
+      if (webhookId) {
+         deliveriesQuery = deliveriesQuery.where('webhookId', '==', webhookId);
+      }
+      if (status) {
+         deliveriesQuery = deliveriesQuery.where('status', '==', status);
+      }
+      deliveriesQuery = deliveriesQuery.orderBy('createdOn', 'desc');
+
+      if (lastId) {
+         const lastDoc = await deliveriesRef.doc(String(lastId)).get();
+         if (lastDoc.exists) {
+            deliveriesQuery = deliveriesQuery.startAfter(lastDoc);
+         }
+      }
+
+      const deliveriesSnapshot = await deliveriesQuery.limit(limit).get();
+      const deliveries = deliveriesSnapshot.docs.map(doc => ({
+         id: doc.id,
+         ...doc.data()
+      }));
+
+      logger.info(`getWebhookDeliveries: Retrieved ${deliveries.length} deliveries`);
+
+      const lastDoc = deliveriesSnapshot.docs[deliveriesSnapshot.docs.length - 1];
+      res.status(200).json({
+         deliveries: deliveries,
+         lastId: deliveriesSnapshot.size === limit && lastDoc ? lastDoc.id : null
+      });
+   } catch (error) {
+      logger.error('getWebhookDeliveries: Error getting webhook deliveries', error);
+      sendError(res, 500, 'Error getting webhook deliveries: ' + error);
+   }
+}));
+
+exports.replayWebhookDelivery = onRequest(handleRequest('replayWebhookDelivery', async (req, res) => {
+   logger.info('Got replay webhook delivery request');
+
+   if (req.method !== 'POST') {
+      logger.error('replayWebhookDelivery: Method not allowed (expected POST)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'replayWebhookDelivery')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'replayWebhookDelivery');
+      if (!caller) {
+         return;
+      }
+
+      const deliveryRef = db.collection('webhookDeliveries').doc(req.body.deliveryId);
+      const deliveryDoc = await deliveryRef.get();
+      if (!deliveryDoc.exists) {
+         logger.error('replayWebhookDelivery: Delivery not found');
+         sendError(res, 404, 'Delivery not found');
+         return;
+      }
+
+      if (deliveryDoc.data().status !== 'failed') {
+         logger.error('replayWebhookDelivery: Delivery has not failed');
+         sendError(res, 409, `Only failed deliveries can be replayed (delivery is ${deliveryDoc.data().status})`);
+         return;
+      }
+
+      // A replay starts a fresh round of attempts with the same delivery id.
+      await deliveryRef.update({
+         ...replayResult(caller.googleId),
+         failedOn: FieldValue.delete()
+      });
+      await attemptWebhookDelivery(deliveryRef);
+
+      const replayed = (await deliveryRef.get()).data();
+
+      logger.info(`replayWebhookDelivery: Delivery ${deliveryRef.id} replayed with status ${replayed.status}`);
+      res.status(200).json({
+         success: true,
+         status: replayed.status,
+         lastError: replayed.lastError || null
+      });
+   } catch (error) {
+      logger.error('replayWebhookDelivery: Error replaying webhook delivery', error);
+      sendError(res, 500, 'Error replaying webhook delivery: ' + error);
+   }
+}));
+
+exports.getRequestMetrics = onRequest(handleRequest('getRequestMetrics', async (req, res) => {
+   logger.info('Got getting request metrics request');
+
+   if (req.method !== 'GET') {
+      logger.error('getRequestMetrics: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getRequestMetrics')) {
+      return;
+   }
+
+   try {
+      const caller = await authenticateAdmin(req, res, 'getRequestMetrics');
+      if (!caller) {
+         return;
+      }
+
+      const hours = parseInt(req.query.hours) || 24;
+      const since = new Date(Date.now() - (hours - 1) * 60 * 60 * 1000).toISOString().slice(0, 13);
+
+      let metricsQuery = db.collection('requestMetrics').where('hour', '>=', since);
+      if (req.query.endpoint) {
+         metricsQuery = metricsQuery.where('endpoint', '==', req.query.endpoint);
+      }
+      const metricsSnapshot = await metricsQuery.get();
+
+      const byEndpoint = {};
+      metricsSnapshot.docs.forEach(doc => {
+         const counters = doc.data();
+         const totals = byEndpoint[counters.endpoint] || (byEndpoint[counters.endpoint] = {
+            endpoint: counters.endpoint,
+            requests: 0,
+            clientErrors: 0,
+            serverErrors: 0,
+            totalLatencyMs: 0,
+            latencyBuckets: {}
+         });
+         totals.requests += counters.requests || 0;
+         totals.clientErrors += counters.clientErrors || 0;
+         totals.serverErrors += counters.serverErrors || 0;
+         totals.totalLatencyMs += counters.totalLatencyMs || 0;
+         Object.entries(counters.latencyBuckets || {}).forEach(([bucketName, count]) => {
+            totals.latencyBuckets[bucketName] = (totals.latencyBuckets[bucketName] || 0) + count;
+         });
+      });
+
+      const endpoints = Object.values(byEndpoint)
+          .map(({totalLatencyMs, ...totals}) => ({
+             ...totals,
+             errorRate: totals.requests > 0 ? totals.serverErrors / totals.requests : 0,
+             averageLatencyMs: totals.requests > 0 ? Math.round(totalLatencyMs / totals.requests) : 0
+          }))
+          .sort((a, b) => b.requests - a.requests);
+
+      logger.info(`getRequestMetrics: Retrieved metrics for ${endpoints.length} endpoints`);
+      res.status(200).json({
+         since: `${since}:00:00.000Z`,
+         latencyBucketBounds: latencyBucketBounds,
+         endpoints: endpoints
+      });
+   } catch (error) {
+      logger.error('getRequestMetrics: Error getting request metrics', error);
+      sendError(res, 500, 'Error getting request metrics: ' + error);
+   }
+}));
+
+exports.updateRemixCount = onDocumentWritten('masks/{maskId}', async (event) => {
+   const before = event.data.before.exists ? event.data.before.data() : null;
+   const after = event.data.after.exists ? event.data.after.data() : null;
+
+   // createMask counts new remixes; this follows remixes being removed and restored.
+   if (!before || !after || !after.parentMaskId || Boolean(before.isRemoved) === Boolean(after.isRemoved)) {
+      return;
+   }
+
+   try {
+      const parentRef = db.collection('masks').doc(after.parentMaskId);
+      if ((await parentRef.get()).exists) {
+         await parentRef.update({remixCount: FieldValue.increment(after.isRemoved ? -1 : 1)});
+      }
+   } catch (error) {
+      logger.error('updateRemixCount: Error updating remix count', error);
+   }
 });
 
-exports.postReport = onRequest(async (req, res) => {
-   logger.info('Got post report request');
+exports.getMaskRemixes = onRequest(handleRequest('getMaskRemixes', async (req, res) => {
+   logger.info('Got getting mask remixes request');
 
-    if (req.method !== 'POST') {
-        logger.error('postReport: Method not allowed (expected POST)');
-        res.status(405).send('Method not allowed');
-        return;
-    }
+   if (req.method !== 'GET') {
+      logger.error('getMaskRemixes: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
 
-    try {
-       const {
-          reportedItemType,
-          reportedItemId,
-          reporterGoogleId,
-          reason,
-          description
-       } = req.body;
+   if (!validateRequest(req, res, 'getMaskRemixes')) {
+      return;
+   }
 
-       if (reportedItemType === "" || reportedItemType == null) {
-          logger.error('postReport: reportedItemType is empty');
-          res.status(400).send('reportedItemType is empty');
-          return;
-       }
+   try {
+      let {
+         maskId,
+         limit,
+         orderBy,
+         orderDirection,
+         lastId
+      } = req.query;
 
-       if (reportedItemId === "" || reportedItemId == null) {
-          logger.error('postReport: reportedItemId is empty');
-          res.status(400).send('reportedItemId is empty');
-          return;
-       }
+      limit = parseInt(limit) || 6;
+      ({orderBy, orderDirection} = normalizeMaskOrder(orderBy, orderDirection, 'uploadedOn'));
 
-       if (reporterGoogleId === "" || reporterGoogleId == null) {
-          logger.error('postReport: reporterGoogleId is empty');
-          res.status(400).send('reporterGoogleId is empty');
-          return;
-       }
+      const masksRef = db.collection('masks');
+      const maskDoc = await masksRef.doc(String(maskId)).get();
+      if (!maskDoc.exists) {
+         logger.error('getMaskRemixes: Mask not found');
+         sendError(res, 404, 'Mask not found');
+         return;
+      }
 
-       if (reason === "" || reason == null) {
-          logger.error('postReport: reason is empty');
-          res.status(400).send('reason is empty');
-          return;
-       }
+      let remixesQuery = masksRef
+          .where('parentMaskId', '==', maskDoc.id)
+          .where('isRemoved', '==', false)
+          .orderBy(orderBy, orderDirection);
 
-       const now = new Date().toISOString();
+      if (lastId) {
+         const lastDoc = await masksRef.doc(String(lastId)).get();
+         if (lastDoc.exists) {
+            remixesQuery = remixesQuery.startAfter(lastDoc);
+         }
+      }
 
-       const reportData = {
-          reportedItemType: reportedItemType,
-          reportedItemId: reportedItemId,
-          reporterGoogleId: reporterGoogleId,
-          reason: reason,
-          description: description || '',
-          reportedOn: now
-       };
+      const remixesSnapshot = await remixesQuery.limit(limit).get();
+      const masks = remixesSnapshot.docs.map(doc => toMaskSummary(doc.data()));
 
-       await db.collection('reports').add(reportData);
-       logger.info('postReport: Report posted successfully');
+      logger.info(`getMaskRemixes: Retrieved ${masks.length} remixes of mask ${maskDoc.id}`);
 
-       res.status(200).json({
-          success: true
-       });
-    } catch (error) {
-        logger.error('postReport: Error posting report', error);
-        res.status(500).json({
-            success: false,
-            error: 'Error posting report: ' + error
-        });
-    }
-});
\ No newline at end of file
+      const lastDoc = remixesSnapshot.docs[remixesSnapshot.docs.length - 1];
+      res.status(200).json({
+         masks: masks,
+         lastId: remixesSnapshot.size === limit && lastDoc ? lastDoc.id : null
+      });
+   } catch (error) {
+      logger.error('getMaskRemixes: Error getting mask remixes', error);
+      sendError(res, 500, 'Error getting mask remixes: ' + error);
+   }
+}));
+
+exports.getMaskLineage = onRequest(handleRequest('getMaskLineage', async (req, res) => {
+   logger.info('Got getting mask lineage request');
+
+   if (req.method !== 'GET') {
+      logger.error('getMaskLineage: Method not allowed (expected GET)');
+      sendError(res, 405, 'Method not allowed');
+      return;
+   }
+
+   if (!validateRequest(req, res, 'getMaskLineage')) {
+      return;
+   }
+
+   try {
+      const maskDoc = await db.collection('masks').doc(String(req.query.maskId)).get();
+      if (!maskDoc.exists || maskDoc.data().isRemoved) {
+         logger.error('getMaskLineage: Mask not found');
+         sendError(res, 404, 'Mask not found');
+         return;
+      }
+
+      const ancestorIds = maskDoc.data().ancestorMaskIds || [];
+      const ancestorDocs = ancestorIds.length > 0
+          ? await db.getAll(...ancestorIds.map(id => db.collection('masks').doc(id)))
+          : [];
+
+      // Removed ancestors stay in the chain, without their details, so credit is not lost.
+      const ancestors = ancestorDocs.map((doc, index) => {
+         if (!doc.exists || doc.data().isRemoved) {
+            return {id: Number(ancestorIds[index]), isRemoved: true};
+         }
+         return toMaskSummary(doc.data());
+      });
+
+      logger.info(`getMaskLineage: Retrieved ${ancestors.length} ancestors of mask ${maskDoc.id}`);
+      res.status(200).json({
+         maskId: maskDoc.data().id,
+         ancestors: ancestors
+      });
+   } catch (error) {
+      logger.error('getMaskLineage: Error getting mask lineage', error);
+      sendError(res, 500, 'Error getting mask lineage: ' + error);
+   }
+}));
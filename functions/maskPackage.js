@@ -0,0 +1,205 @@
+/**
+ * Reads and validates CamMask mask packages: zip archives holding the mask
+ * asset(s), a preview image and a manifest.json that describes them.
+ *
+ * manifest.json:
+ *   formatVersion       package format, one of supportedFormatVersions
+ *   assets              paths of the mask assets inside the archive
+ *   preview             path of the preview image inside the archive
+ *   anchorPoints        [{name, x, y, z?}] face points the mask attaches to
+ *   requiredAppVersion  lowest CamMask app version that can load it, as major.minor.patch
+ */
+
+const yauzl = require('yauzl');
+const Ajv = require('ajv');
+const {detectFileType, headerLength} = require('./fileTypes');
+
+const manifestFileName = 'manifest.json';
+const supportedFormatVersions = [1];
+
+const maxManifestSize = 64 * 1024;
+const maxPackageEntries = 500;
+const maxUncompressedSize = 250 * 1024 * 1024;
+
+const appVersionPattern = '^\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}$';
+
+const packagePath = {type: 'string', minLength: 1, maxLength: 255};
+const coordinate = {type: 'number'};
+
+const manifestSchema = {
+   type: 'object',
+   properties: {
+      formatVersion: {type: 'integer', enum: supportedFormatVersions},
+      assets: {type: 'array', items: packagePath, minItems: 1, maxItems: 50},
+      preview: packagePath,
+      anchorPoints: {
+         type: 'array',
+         minItems: 1,
+         maxItems: 100,
+         items: {
+            type: 'object',
+            properties: {
+               name: {type: 'string', minLength: 1},
+               x: coordinate,
+               y: coordinate,
+               z: coordinate
+            },
+            required: ['name', 'x', 'y']
+         }
+      },
+      requiredAppVersion: {type: 'string', pattern: appVersionPattern}
+   },
+   required: ['formatVersion', 'assets', 'preview', 'anchorPoints', 'requiredAppVersion']
+};
+
+const validateManifest = new Ajv({allErrors: true}).compile(manifestSchema);
+
+/**
+ * Turns a major.minor.patch version into a number that sorts like the version,
+ * so masks can be filtered with a single range query. Returns null for anything else.
+ */
+function appVersionCode(version) {
+   if (!new RegExp(appVersionPattern).test(String(version))) {
+      return null;
+   }
+   const [major, minor, patch] = String(version).split('.').map(Number);
+   return major * 1000000 + minor * 1000 + patch;
+}
+
+function openZip(source) {
+   const options = {lazyEntries: true, autoClose: false};
+   return new Promise((resolve, reject) => {
+      const callback = (error, zipfile) => error ? reject(error) : resolve(zipfile);
+      if (Buffer.isBuffer(source)) {
+         yauzl.fromBuffer(source, options, callback);
+      } else {
+         yauzl.open(source, options, callback);
+      }
+   });
+}
+
+/**
+ * Reads the central directory and returns the file entries by name.
+ */
+function listEntries(zipfile) {
+   return new Promise((resolve, reject) => {
+      const entries = new Map();
+      let totalSize = 0;
+
+      zipfile.on('entry', entry => {
+         if (!entry.fileName.endsWith('/')) {
+            entries.set(entry.fileName, entry);
+            totalSize += entry.uncompressedSize;
+         }
+         if (entries.size > maxPackageEntries) {
+            reject(new Error(`more than ${maxPackageEntries} files`));
+            return;
+         }
+         if (totalSize > maxUncompressedSize) {
+            reject(new Error(`more than ${maxUncompressedSize} bytes uncompressed`));
+            return;
+         }
+         zipfile.readEntry();
+      });
+      zipfile.on('end', () => resolve(entries));
+      zipfile.on('error', reject);
+      zipfile.readEntry();
+   });
+}
+
+/**
+ * Reads up to maxBytes of an entry.
+ */
+function readEntry(zipfile, entry, maxBytes) {
+   return new Promise((resolve, reject) => {
+      zipfile.openReadStream(entry, (error, stream) => {
+         if (error) {
+            reject(error);
+            return;
+         }
+
+         const chunks = [];
+         let length = 0;
+         stream.on('data', chunk => {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length >= maxBytes) {
+               stream.destroy();
+               resolve(Buffer.concat(chunks).subarray(0, maxBytes));
+            }
+         });
+         stream.on('end', () => resolve(Buffer.concat(chunks)));
+         stream.on('error', reject);
+      });
+   });
+}
+
+async function checkPackage(zipfile) {
+   const entries = await listEntries(zipfile);
+
+   const manifestEntry = entries.get(manifestFileName);
+   if (!manifestEntry) {
+      return {problem: `${manifestFileName} is missing`};
+   }
+   if (manifestEntry.uncompressedSize > maxManifestSize) {
+      return {problem: `${manifestFileName} is larger than ${maxManifestSize} bytes`};
+   }
+
+   let manifest;
+   try {
+      manifest = JSON.parse((await readEntry(zipfile, manifestEntry, maxManifestSize)).toString('utf8'));
+   } catch (error) {
+      return {problem: `${manifestFileName} is not valid JSON`};
+   }
+
+   if (!validateManifest(manifest)) {
+      const error = validateManifest.errors[0];
+      return {problem: `${manifestFileName}${error.instancePath} ${error.message}`};
+   }
+
+   const missingAsset = manifest.assets.find(asset => !entries.has(asset) || entries.get(asset).uncompressedSize === 0);
+   if (missingAsset) {
+      return {problem: `asset ${missingAsset} is missing or empty`};
+   }
+
+   const previewEntry = entries.get(manifest.preview);
+   if (!previewEntry) {
+      return {problem: `preview ${manifest.preview} is missing`};
+   }
+   const previewType = detectFileType(await readEntry(zipfile, previewEntry, headerLength));
+   if (!previewType || previewType.kind !== 'image') {
+      return {problem: `preview ${manifest.preview} is not an image`};
+   }
+
+   return {manifest, problem: null};
+}
+
+/**
+ * Opens a package from a file path or buffer and checks its layout and manifest.
+ * Resolves to {manifest, problem}, where problem describes the first thing wrong
+ * with the package, or is null for a valid one.
+ */
+async function inspectMaskPackage(source) {
+   let zipfile;
+   try {
+      zipfile = await openZip(source);
+   } catch (error) {
+      return {problem: `not a readable zip archive (${error.message})`};
+   }
+
+   try {
+      return await checkPackage(zipfile);
+   } catch (error) {
+      return {problem: `could not be read (${error.message})`};
+   } finally {
+      zipfile.close();
+   }
+}
+
+module.exports = {
+   manifestFileName,
+   supportedFormatVersions,
+   appVersionPattern,
+   appVersionCode,
+   inspectMaskPackage
+};
@@ -0,0 +1,177 @@
+/**
+ * Authentication tests. Run with `npm run test:emulators`, which starts the Auth and
+ * Firestore emulators; without them these tests are skipped. The handlers are served
+ * in-process by express, the same way Cloud Functions serves them, and callers sign
+ * in through the Auth emulator.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const net = require('net');
+
+const projectId = 'demo-cammask';
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || projectId;
+process.env.FIREBASE_CONFIG = process.env.FIREBASE_CONFIG
+    || JSON.stringify({projectId: projectId, storageBucket: `${projectId}.appspot.com`});
+process.env.FIREBASE_AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || '127.0.0.1:9099';
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+
+const express = require('express');
+const functions = require('../index.js');
+
+/**
+ * Signs a Google user in through the Auth emulator and returns their ID token.
+ * The emulator takes the Google ID token as plain JSON.
+ */
+async function signInWithGoogle(googleId) {
+   const url = `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/identitytoolkit.googleapis.com/v1/accounts:signInWithIdp?key=fake-api-key`;
+   const googleToken = JSON.stringify({sub: googleId, email: `${googleId}@example.com`, email_verified: true});
+   const response = await fetch(url, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({
+         postBody: `id_token=${encodeURIComponent(googleToken)}&providerId=google.com`,
+         requestUri: 'http://localhost',
+         returnSecureToken: true
+      })
+   });
+   assert.strictEqual(response.status, 200, 'Auth emulator sign-in failed');
+   return (await response.json()).idToken;
+}
+
+/**
+ * Emulator tokens are unsigned, so an expired one is the same token with `exp` in the past.
+ */
+function expireIdToken(idToken) {
+   const [header, payload] = idToken.split('.');
+   const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+   claims.iat -= 2 * 60 * 60;
+   claims.auth_time -= 2 * 60 * 60;
+   claims.exp = Math.floor(Date.now() / 1000) - 60;
+   return `${header}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.`;
+}
+
+/**
+ * Resolves to whether anything accepts connections at "host:port".
+ */
+function isReachable(hostAndPort) {
+   const [host, port] = hostAndPort.split(':');
+   return new Promise(resolve => {
+      const socket = net.connect({host: host, port: Number(port), timeout: 1000});
+      const done = reachable => {
+         socket.destroy();
+         resolve(reachable);
+      };
+      socket.once('connect', () => done(true));
+      socket.once('timeout', () => done(false));
+      socket.once('error', () => done(false));
+   });
+}
+
+let server;
+let baseUrl;
+// Why the tests are skipped, or null when the emulators are up.
+let skipReason = null;
+
+/**
+ * Declares a test that needs the emulators, skipping it when they are not running.
+ */
+function emulatorTest(name, fn) {
+   test(name, async t => {
+      if (skipReason) {
+         t.skip(skipReason);
+         return;
+      }
+      await fn(t);
+   });
+}
+
+test.before(async () => {
+   for (const [name, host] of [
+      ['Auth', process.env.FIREBASE_AUTH_EMULATOR_HOST],
+      ['Firestore', process.env.FIRESTORE_EMULATOR_HOST]
+   ]) {
+      if (!(await isReachable(host))) {
+         skipReason = `${name} emulator is not reachable at ${host}; run \`npm run test:emulators\``;
+         return;
+      }
+   }
+
+   const app = express();
+   app.use(express.json({
+      verify: (req, res, buf) => {
+         req.rawBody = buf;
+      }
+   }));
+   app.all('/:endpoint', (req, res) => functions[req.params.endpoint](req, res));
+
+   await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+   });
+   baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+   if (server) {
+      server.close();
+   }
+});
+
+async function createUser(body, authorization) {
+   const headers = {'Content-Type': 'application/json'};
+   if (authorization !== undefined) {
+      headers.Authorization = authorization;
+   }
+   const response = await fetch(`${baseUrl}/createUser`, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(body)
+   });
+   return {status: response.status, body: await response.json()};
+}
+
+emulatorTest('accepts a valid ID token and uses its Google identity', async () => {
+   const googleId = crypto.randomUUID();
+
+   const idToken = await signInWithGoogle(googleId);
+
+   const created = await createUser({name: 'Test User'}, `Bearer ${idToken}`);
+   assert.strictEqual(created.status, 200);
+
+   const again = await createUser({googleId: googleId, name: 'Test User'}, `Bearer ${idToken}`);
+   assert.strictEqual(again.status, 400);
+   assert.strictEqual(again.body.error, 'User already exists');
+});
+
+emulatorTest('rejects a request without a bearer token', async () => {
+   const missing = await createUser({name: 'Test User'});
+   assert.strictEqual(missing.status, 401);
+   assert.strictEqual(missing.body.error, 'Missing bearer token');
+
+   const idToken = await signInWithGoogle(crypto.randomUUID());
+   const wrongScheme = await createUser({name: 'Test User'}, `Basic ${idToken}`);
+   assert.strictEqual(wrongScheme.status, 401);
+   assert.strictEqual(wrongScheme.body.error, 'Missing bearer token');
+});
+
+emulatorTest('rejects a malformed ID token', async () => {
+   const result = await createUser({name: 'Test User'}, 'Bearer not-a-token');
+   assert.strictEqual(result.status, 401);
+   assert.strictEqual(result.body.error, 'Invalid ID token');
+});
+
+emulatorTest('rejects an expired ID token', async () => {
+   const idToken = expireIdToken(await signInWithGoogle(crypto.randomUUID()));
+   const result = await createUser({name: 'Test User'}, `Bearer ${idToken}`);
+   assert.strictEqual(result.status, 401);
+   assert.strictEqual(result.body.error, 'Invalid ID token');
+});
+
+emulatorTest('rejects a googleId that belongs to someone else', async () => {
+   const result = await createUser(
+       {googleId: crypto.randomUUID(), name: 'Test User'},
+       `Bearer ${await signInWithGoogle(crypto.randomUUID())}`);
+   assert.strictEqual(result.status, 403);
+   assert.strictEqual(result.body.error, 'googleId does not match authenticated user');
+});
@@ -0,0 +1,64 @@
+/**
+ * Upload type detection tests.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {headerLength, detectFileType, fileTypeForMimeType, findTypeMismatch} = require('../fileTypes');
+
+function header(...parts) {
+   const bytes = Buffer.concat(parts.map(part => Buffer.from(part)));
+   return Buffer.concat([bytes, Buffer.alloc(Math.max(0, headerLength - bytes.length))]);
+}
+
+const headers = {
+   'image/png': header([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+   'image/jpeg': header([0xff, 0xd8, 0xff, 0xe0]),
+   'image/gif': header('GIF89a'),
+   'image/webp': header('RIFF', [0x24, 0, 0, 0], 'WEBP'),
+   'application/zip': header([0x50, 0x4b, 0x03, 0x04]),
+   'model/gltf-binary': header('glTF', [2, 0, 0, 0])
+};
+
+test('detects every allowed type from its signature', () => {
+   for (const [mimeType, bytes] of Object.entries(headers)) {
+      assert.strictEqual(detectFileType(bytes).mimeType, mimeType);
+   }
+   assert.strictEqual(detectFileType(header('GIF87a')).mimeType, 'image/gif');
+   assert.strictEqual(detectFileType(header('GIF89a')).kind, 'image');
+   assert.strictEqual(detectFileType(header([0x50, 0x4b, 0x03, 0x04])).kind, 'mask');
+});
+
+test('detects nothing for unknown, truncated or misplaced signatures', () => {
+   assert.strictEqual(detectFileType(header('%PDF-1.7')), null);
+   assert.strictEqual(detectFileType(Buffer.from([0x89, 0x50, 0x4e])), null);
+   assert.strictEqual(detectFileType(header('RIFF', [0x24, 0, 0, 0], 'WAVE')), null);
+   assert.strictEqual(detectFileType(header([0], 'GIF89a')), null);
+   assert.strictEqual(detectFileType(Buffer.alloc(0)), null);
+});
+
+test('maps declared mime types and their aliases to allowed types', () => {
+   assert.strictEqual(fileTypeForMimeType('image/png').mimeType, 'image/png');
+   assert.strictEqual(fileTypeForMimeType('IMAGE/JPG').mimeType, 'image/jpeg');
+   assert.strictEqual(fileTypeForMimeType('image/pjpeg').mimeType, 'image/jpeg');
+   assert.strictEqual(fileTypeForMimeType('application/x-zip-compressed').mimeType, 'application/zip');
+   assert.strictEqual(fileTypeForMimeType('text/html'), null);
+   assert.strictEqual(fileTypeForMimeType(undefined), null);
+});
+
+test('accepts a declared type and name that agree with the content', () => {
+   const jpeg = detectFileType(headers['image/jpeg']);
+   assert.strictEqual(findTypeMismatch(jpeg, 'image/jpeg', 'face.jpg'), null);
+   assert.strictEqual(findTypeMismatch(jpeg, 'image/jpg', 'face.JPEG'), null);
+   assert.strictEqual(findTypeMismatch(jpeg, 'application/octet-stream', 'face'), null);
+   assert.strictEqual(findTypeMismatch(jpeg, '', undefined), null);
+   assert.strictEqual(findTypeMismatch(detectFileType(headers['application/zip']), 'application/x-zip', 'mask.cammask'), null);
+});
+
+test('reports which declared field disagrees with the content', () => {
+   const png = detectFileType(headers['image/png']);
+   assert.strictEqual(findTypeMismatch(png, 'image/jpeg', 'face.png'), 'mimeType');
+   assert.strictEqual(findTypeMismatch(png, 'text/html', 'face.png'), 'mimeType');
+   assert.strictEqual(findTypeMismatch(png, 'image/png', 'face.jpg'), 'extension');
+   assert.strictEqual(findTypeMismatch(png, 'application/octet-stream', 'face.png.exe'), 'extension');
+});
@@ -0,0 +1,68 @@
+/**
+ * Image header parsing and variant rendering tests.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Jimp} = require('jimp');
+const {maxImagePixels, readImageSize, variantMimeType, renderImageVariants} = require('../imageVariants');
+
+async function encode(width, height, mimeType) {
+   return new Jimp({width: width, height: height, color: 0x3366ccff}).getBuffer(mimeType);
+}
+
+/**
+ * A PNG signature and IHDR chunk claiming the given size, without any image data.
+ */
+function pngHeader(width, height) {
+   const buffer = Buffer.alloc(33);
+   Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+   buffer.writeUInt32BE(13, 8);
+   buffer.write('IHDR', 12, 'ascii');
+   buffer.writeUInt32BE(width, 16);
+   buffer.writeUInt32BE(height, 20);
+   return buffer;
+}
+
+test('reads the size of encoded PNG, JPEG and GIF images', async () => {
+   for (const mimeType of ['image/png', 'image/jpeg', 'image/gif']) {
+      assert.deepStrictEqual(readImageSize(await encode(37, 21, mimeType)), {width: 37, height: 21}, mimeType);
+   }
+});
+
+test('finds the JPEG frame after other segments, fill bytes and standalone markers', () => {
+   const jpeg = Buffer.from([
+      0xff, 0xd8,
+      0xff, 0xe0, 0x00, 0x06, 0x4a, 0x46, 0x49, 0x46,
+      0xff, 0xff, 0xd0,
+      0xff, 0xc2, 0x00, 0x11, 0x08, 0x01, 0x2c, 0x02, 0x58, 0x03
+   ]);
+   assert.deepStrictEqual(readImageSize(jpeg), {width: 600, height: 300});
+});
+
+test('gives no size for truncated or unknown headers', () => {
+   assert.strictEqual(readImageSize(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10])), null);
+   assert.strictEqual(readImageSize(Buffer.from([0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08])), null);
+   assert.strictEqual(readImageSize(Buffer.from([0xff, 0xd8, 0x00, 0x00, 0x00, 0x00])), null);
+   assert.strictEqual(readImageSize(pngHeader(10, 10).subarray(0, 20)), null);
+   assert.strictEqual(readImageSize(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), null);
+});
+
+test('renders a square thumbnail and a preview that fits without upscaling', async () => {
+   const large = await renderImageVariants(await encode(1600, 800, 'image/png'));
+   const thumbnail = await Jimp.read(large.thumbnail);
+   const preview = await Jimp.read(large.preview);
+   assert.deepStrictEqual([thumbnail.width, thumbnail.height], [256, 256]);
+   assert.deepStrictEqual([preview.width, preview.height], [1024, 512]);
+   assert.strictEqual(thumbnail.mime, variantMimeType);
+
+   const small = await renderImageVariants(await encode(300, 200, 'image/gif'));
+   const smallPreview = await Jimp.read(small.preview);
+   assert.deepStrictEqual([smallPreview.width, smallPreview.height], [300, 200]);
+});
+
+test('rejects images too large or unreadable before decoding them', async () => {
+   const side = Math.ceil(Math.sqrt(maxImagePixels)) + 1;
+   await assert.rejects(renderImageVariants(pngHeader(side, side)), /more than \d+ pixels/);
+   await assert.rejects(renderImageVariants(Buffer.from('not an image')), /could not be read/);
+});
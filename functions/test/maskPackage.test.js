@@ -0,0 +1,162 @@
+/**
+ * Mask package validation tests against zip archives built in memory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const {appVersionCode, inspectMaskPackage} = require('../maskPackage');
+
+const crcTable = Array.from({length: 256}, (_, n) => {
+   let c = n;
+   for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+   }
+   return c >>> 0;
+});
+
+function crc32(data) {
+   let crc = 0xffffffff;
+   for (const byte of data) {
+      crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+   }
+   return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds a deflated zip archive from {name, data, uncompressedSize?} entries. A
+ * larger uncompressedSize than the data makes the archive lie about its size the
+ * way a zip bomb does.
+ */
+function buildZip(entries) {
+   const localParts = [];
+   const centralParts = [];
+   let offset = 0;
+
+   for (const entry of entries) {
+      const name = Buffer.from(entry.name, 'utf8');
+      const data = Buffer.from(entry.data || '');
+      const compressed = zlib.deflateRawSync(data);
+      const uncompressedSize = entry.uncompressedSize || data.length;
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4);
+      local.writeUInt16LE(8, 8);
+      local.writeUInt32LE(crc32(data), 14);
+      local.writeUInt32LE(compressed.length, 18);
+      local.writeUInt32LE(uncompressedSize, 22);
+      local.writeUInt16LE(name.length, 26);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4);
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt32LE(crc32(data), 16);
+      central.writeUInt32LE(compressed.length, 20);
+      central.writeUInt32LE(uncompressedSize, 24);
+      central.writeUInt16LE(name.length, 28);
+      central.writeUInt32LE(offset, 42);
+
+      localParts.push(local, name, compressed);
+      centralParts.push(central, name);
+      offset += local.length + name.length + compressed.length;
+   }
+
+   const centralDirectory = Buffer.concat(centralParts);
+   const end = Buffer.alloc(22);
+   end.writeUInt32LE(0x06054b50, 0);
+   end.writeUInt16LE(entries.length, 8);
+   end.writeUInt16LE(entries.length, 10);
+   end.writeUInt32LE(centralDirectory.length, 12);
+   end.writeUInt32LE(offset, 16);
+
+   return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(24)]);
+
+const manifest = {
+   formatVersion: 1,
+   assets: ['mask.glb'],
+   preview: 'preview.png',
+   anchorPoints: [{name: 'noseTip', x: 0, y: 0.1, z: -0.2}],
+   requiredAppVersion: '1.4.0'
+};
+
+/**
+ * A valid package, with `overrides` replacing or (when null) dropping its entries.
+ */
+function maskPackage(overrides = {}) {
+   const files = {
+      'manifest.json': JSON.stringify(manifest),
+      'mask.glb': 'glTF mask data',
+      'preview.png': png,
+      ...overrides
+   };
+   return buildZip(Object.entries(files)
+       .filter(([, data]) => data !== null)
+       .map(([name, data]) => ({name: name, data: data})));
+}
+
+async function problemOf(source) {
+   return (await inspectMaskPackage(source)).problem;
+}
+
+test('accepts a valid package and returns its manifest', async () => {
+   const result = await inspectMaskPackage(maskPackage({'textures/': '', 'textures/skin.png': png}));
+   assert.strictEqual(result.problem, null);
+   assert.deepStrictEqual(result.manifest, manifest);
+});
+
+test('rejects data that is not a zip archive', async () => {
+   assert.match(await problemOf(Buffer.from('not a zip archive at all')), /^not a readable zip archive/);
+});
+
+test('rejects a missing, oversized or unparsable manifest', async () => {
+   assert.strictEqual(await problemOf(maskPackage({'manifest.json': null})), 'manifest.json is missing');
+   assert.strictEqual(await problemOf(maskPackage({'manifest.json': '{"formatVersion": 1,'})),
+       'manifest.json is not valid JSON');
+   assert.strictEqual(await problemOf(maskPackage({'manifest.json': JSON.stringify(manifest) + ' '.repeat(64 * 1024)})),
+       'manifest.json is larger than 65536 bytes');
+});
+
+test('reports the first schema error in the manifest', async () => {
+   const withManifest = changes => maskPackage({'manifest.json': JSON.stringify({...manifest, ...changes})});
+
+   assert.strictEqual(await problemOf(withManifest({formatVersion: 2})),
+       'manifest.json/formatVersion must be equal to one of the allowed values');
+   assert.strictEqual(await problemOf(withManifest({anchorPoints: undefined})),
+       'manifest.json must have required property \'anchorPoints\'');
+   assert.strictEqual(await problemOf(withManifest({anchorPoints: [{name: 'noseTip', x: 0}]})),
+       'manifest.json/anchorPoints/0 must have required property \'y\'');
+   assert.strictEqual(await problemOf(withManifest({requiredAppVersion: '1.4'})),
+       'manifest.json/requiredAppVersion must match pattern "^\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}$"');
+});
+
+test('rejects missing or empty assets and a missing or non-image preview', async () => {
+   assert.strictEqual(await problemOf(maskPackage({'mask.glb': null})), 'asset mask.glb is missing or empty');
+   assert.strictEqual(await problemOf(maskPackage({'mask.glb': ''})), 'asset mask.glb is missing or empty');
+   assert.strictEqual(await problemOf(maskPackage({'preview.png': null})), 'preview preview.png is missing');
+   assert.strictEqual(await problemOf(maskPackage({'preview.png': 'glTF posing as a preview'})),
+       'preview preview.png is not an image');
+});
+
+test('rejects packages with too many files or too many bytes uncompressed', async () => {
+   const extraFiles = Object.fromEntries(Array.from({length: 500}, (_, i) => [`extra/${i}.bin`, 'x']));
+   assert.strictEqual(await problemOf(maskPackage(extraFiles)), 'could not be read (more than 500 files)');
+
+   const bomb = buildZip([{name: 'bomb.bin', data: 'x', uncompressedSize: 250 * 1024 * 1024 + 1}]);
+   assert.strictEqual(await problemOf(bomb), 'could not be read (more than 262144000 bytes uncompressed)');
+});
+
+test('turns app versions into codes that sort like the versions', () => {
+   assert.strictEqual(appVersionCode('1.4.0'), 1004000);
+   assert.strictEqual(appVersionCode('0.0.0'), 0);
+   assert.ok(appVersionCode('10.0.0') > appVersionCode('9.999.999'));
+   assert.ok(appVersionCode('1.10.0') > appVersionCode('1.9.12'));
+   assert.strictEqual(appVersionCode('1.4'), null);
+   assert.strictEqual(appVersionCode('v1.4.0'), null);
+   assert.strictEqual(appVersionCode(undefined), null);
+});
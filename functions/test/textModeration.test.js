@@ -0,0 +1,61 @@
+/**
+ * Blocklist matching and spam heuristics tests.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {normalizeForMatching, findBlockedTerms, maskMatches, countLinks, comparableText} = require('../textModeration');
+
+const blocklist = [{term: 'idiot', action: 'mask'}];
+
+function matchedText(text, entries = blocklist) {
+   const chars = [...text];
+   return findBlockedTerms(text, entries).map(match => chars.slice(match.start, match.end).join(''));
+}
+
+test('normalizes case, diacritics and leetspeak', () => {
+   assert.strictEqual(normalizeForMatching('ÍD1Ø7').normalized, 'idiøt');
+   assert.strictEqual(normalizeForMatching('Crâne 1d10t').normalized, 'crane idiot');
+   assert.deepStrictEqual(normalizeForMatching('é!').sourceIndex, [0, 1]);
+});
+
+test('finds a blocked term followed by punctuation or a leetspeak digit', () => {
+   assert.deepStrictEqual(matchedText('you idiot'), ['idiot']);
+   assert.deepStrictEqual(matchedText('you idiot!'), ['idiot']);
+   assert.deepStrictEqual(matchedText('IDIOT!!'), ['IDIOT']);
+   assert.deepStrictEqual(matchedText('idiot$'), ['idiot']);
+   assert.deepStrictEqual(matchedText('you idiot1'), ['idiot']);
+   assert.deepStrictEqual(matchedText('(idiot)'), ['idiot']);
+});
+
+test('finds leetspeak, repeated letters and diacritics inside a term', () => {
+   assert.deepStrictEqual(matchedText('1d10t'), ['1d10t']);
+   assert.deepStrictEqual(matchedText('!d!ot'), ['!d!ot']);
+   assert.deepStrictEqual(matchedText('iiidiooot'), ['iiidiooot']);
+   assert.deepStrictEqual(matchedText('ídïot'), ['ídïot']);
+});
+
+test('only matches whole words unless the entry is partial', () => {
+   assert.deepStrictEqual(matchedText('idiots'), []);
+   assert.deepStrictEqual(matchedText('idiot2'), []);
+   assert.deepStrictEqual(matchedText('myidiot'), []);
+   assert.deepStrictEqual(matchedText('idiot1x'), []);
+   assert.deepStrictEqual(matchedText('myidiots', [{term: 'idiot', action: 'mask', partial: true}]), ['idiot']);
+});
+
+test('matches multi-word terms across any whitespace', () => {
+   const entries = [{term: 'bad  mask', action: 'reject'}];
+   assert.deepStrictEqual(matchedText('a B4D\tmask!', entries), ['B4D\tmask']);
+});
+
+test('masks matched characters but keeps whitespace', () => {
+   const text = 'you idiot! bad  man';
+   const matches = findBlockedTerms(text, [...blocklist, {term: 'bad man', action: 'mask'}]);
+   assert.strictEqual(maskMatches(text, matches), 'you *****! ***  ***');
+});
+
+test('counts links and compares repeated comments loosely', () => {
+   assert.strictEqual(countLinks('see https://a.example and www.b.example, not c.example'), 2);
+   assert.strictEqual(countLinks(null), 0);
+   assert.strictEqual(comparableText('  Nice   M4SK '), comparableText('nice mask'));
+});
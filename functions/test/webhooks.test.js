@@ -0,0 +1,136 @@
+/**
+ * Webhook delivery tests against a local HTTP receiver.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const {retryDelaySeconds, signPayload, sendEvent, attemptResult, replayResult} = require('../webhooks');
+
+const maxAttempts = 3;
+
+const event = {
+   type: 'comment.posted',
+   createdOn: '2026-01-01T00:00:00.000Z',
+   data: {commentId: 'c1', maskId: 'm1', comment: 'Nice mask'}
+};
+
+let server;
+let webhook;
+// Status codes the receiver answers with, in order; 200 once they run out.
+let responses = [];
+const received = [];
+
+test.before(async () => {
+   server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+         body += chunk;
+      });
+      req.on('end', () => {
+         received.push({headers: req.headers, body: body});
+         res.statusCode = responses.length > 0 ? responses.shift() : 200;
+         res.end();
+      });
+   });
+   await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+   webhook = {url: `http://127.0.0.1:${server.address().port}/hook`, secret: crypto.randomBytes(32).toString('hex')};
+});
+
+test.after(() => {
+   server.close();
+});
+
+test.beforeEach(() => {
+   responses = [];
+   received.length = 0;
+});
+
+test('signs the timestamp and body with the webhook secret', async () => {
+   const now = new Date('2026-01-01T00:00:10.000Z');
+   const result = await sendEvent(webhook, 'delivery1', 'event1', event, now);
+
+   assert.deepStrictEqual(result, {responseStatus: 200, error: null});
+   assert.strictEqual(received.length, 1);
+
+   const {headers, body} = received[0];
+   assert.strictEqual(headers['x-cammask-event'], 'comment.posted');
+   assert.strictEqual(headers['x-cammask-delivery'], 'delivery1');
+   assert.strictEqual(headers['x-cammask-timestamp'], String(now.getTime() / 1000));
+   assert.deepStrictEqual(JSON.parse(body), {id: 'event1', ...event});
+
+   const expected = 'sha256=' + crypto.createHmac('sha256', webhook.secret)
+       .update(`${headers['x-cammask-timestamp']}.${body}`).digest('hex');
+   assert.strictEqual(headers['x-cammask-signature'], expected);
+   assert.strictEqual(signPayload(webhook.secret, headers['x-cammask-timestamp'], body), expected);
+});
+
+test('retries failed attempts with exponential backoff and then dead-letters', async () => {
+   const statuses = [500, 503, 502];
+   responses = [...statuses];
+   let delivery = {status: 'pending', attempts: 0};
+
+   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const now = new Date();
+      const result = await sendEvent(webhook, 'delivery2', 'event2', event, now);
+      assert.strictEqual(result.responseStatus, statuses[attempt - 1]);
+      assert.strictEqual(result.error, `Receiver responded with ${statuses[attempt - 1]}`);
+
+      delivery = {...delivery, ...attemptResult(delivery, result, maxAttempts, now)};
+      assert.strictEqual(delivery.attempts, attempt);
+      assert.strictEqual(delivery.lastResponseStatus, result.responseStatus);
+
+      if (attempt < maxAttempts) {
+         assert.strictEqual(delivery.status, 'pending');
+         assert.strictEqual(Date.parse(delivery.nextAttemptOn) - now.getTime(), retryDelaySeconds(attempt) * 1000);
+      } else {
+         assert.strictEqual(delivery.status, 'failed');
+         assert.strictEqual(delivery.nextAttemptOn, null);
+         assert.strictEqual(delivery.failedOn, now.toISOString());
+      }
+   }
+
+   assert.deepStrictEqual(received.map(request => request.headers['x-cammask-delivery']),
+       ['delivery2', 'delivery2', 'delivery2']);
+   assert.deepStrictEqual([1, 2, 3].map(retryDelaySeconds), [30, 60, 120]);
+   assert.strictEqual(retryDelaySeconds(20), 6 * 60 * 60);
+});
+
+test('treats an unreachable receiver as a failed attempt', async () => {
+   const closed = http.createServer();
+   await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+   const url = `http://127.0.0.1:${closed.address().port}/hook`;
+   await new Promise(resolve => closed.close(resolve));
+
+   const result = await sendEvent({...webhook, url: url}, 'delivery3', 'event3', event);
+   assert.strictEqual(result.responseStatus, null);
+   assert.ok(result.error);
+
+   const update = attemptResult({attempts: 0}, result, maxAttempts);
+   assert.strictEqual(update.status, 'pending');
+   assert.strictEqual(update.lastError, result.error);
+});
+
+test('replays a dead-lettered delivery under the same delivery id', async () => {
+   responses = [500];
+   const now = new Date();
+   const failed = {
+      status: 'failed',
+      ...attemptResult({attempts: maxAttempts - 1}, await sendEvent(webhook, 'delivery4', 'event4', event), maxAttempts, now)
+   };
+   assert.strictEqual(failed.status, 'failed');
+
+   const replayed = {...failed, ...replayResult('admin1', now)};
+   assert.strictEqual(replayed.status, 'pending');
+   assert.strictEqual(replayed.attempts, 0);
+   assert.strictEqual(replayed.nextAttemptOn, now.toISOString());
+   assert.strictEqual(replayed.replayedByGoogleId, 'admin1');
+
+   const result = await sendEvent(webhook, 'delivery4', 'event4', event);
+   const delivered = {...replayed, ...attemptResult(replayed, result, maxAttempts)};
+   assert.strictEqual(delivered.status, 'delivered');
+   assert.strictEqual(delivered.attempts, 1);
+   assert.strictEqual(delivered.lastError, null);
+   assert.deepStrictEqual(received.map(request => request.headers['x-cammask-delivery']), ['delivery4', 'delivery4']);
+});
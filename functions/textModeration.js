@@ -0,0 +1,171 @@
+/**
+ * Checks user-submitted text (mask names, descriptions, tags and comments)
+ * against length limits, a blocklist and simple spam heuristics.
+ * Loading the blocklist and settings from Firestore is left to the caller.
+ */
+
+// What a rule does with matching text.
+const ruleActions = ['reject', 'mask', 'review'];
+
+const defaultMaxLengths = {
+   maskName: 80,
+   description: 2000,
+   tag: 32,
+   comment: 1000
+};
+
+const defaultSpamRules = {
+   // Identical comments by the same user within windowMinutes; maxRepeats earlier copies are allowed.
+   repeatedText: {action: 'reject', windowMinutes: 60, maxRepeats: 1},
+   linkFlooding: {action: 'review', maxLinks: 2}
+};
+
+const leetspeak = {
+   '0': 'o',
+   '1': 'i',
+   '3': 'e',
+   '4': 'a',
+   '5': 's',
+   '7': 't',
+   '8': 'b',
+   '@': 'a',
+   '$': 's',
+   '!': 'i',
+   '|': 'i',
+   '+': 't'
+};
+
+const linkPattern = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+function normalizeChar(char) {
+   const base = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+   return [...base].map(c => leetspeak[c] || c).join('');
+}
+
+/**
+ * Lowercases the text, strips diacritics and undoes common leetspeak substitutions.
+ * Returns the normalized text and, for each of its characters, the index of the
+ * original character it came from, so matches can be mapped back for masking.
+ */
+function normalizeForMatching(text) {
+   let normalized = '';
+   const sourceIndex = [];
+   [...String(text || '')].forEach((char, index) => {
+      const mapped = normalizeChar(char);
+      normalized += mapped;
+      for (let i = 0; i < mapped.length; i++) {
+         sourceIndex.push(index);
+      }
+   });
+   return {normalized, sourceIndex};
+}
+
+function escapeRegExp(text) {
+   return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the pattern for a blocklist term. Letters may be repeated ("baaad").
+ */
+function termPattern(entry) {
+   const letters = [...normalizeForMatching(entry.term).normalized.replace(/\s+/g, ' ').trim()];
+   const body = letters.map(char => char === ' ' ? '\\s+' : escapeRegExp(char) + '+').join('');
+   return new RegExp(body, 'gu');
+}
+
+function isWordChar(char) {
+   return /[\p{L}\p{N}]/u.test(char);
+}
+
+function isLeetDigit(char) {
+   return /\d/.test(char) && leetspeak[char] !== undefined;
+}
+
+/**
+ * Whether a match on the original characters start..end stands as a whole word.
+ * This is checked on the original text, where punctuation such as "!" or "$" ends a
+ * word even though it is read as a letter inside one. Leetspeak digits next to the
+ * match are skipped, so "idiot1" counts while "idiots" and "idiot2" do not.
+ */
+function standsAlone(chars, start, end) {
+   let before = start - 1;
+   while (before >= 0 && isLeetDigit(chars[before])) {
+      before--;
+   }
+   let after = end;
+   while (after < chars.length && isLeetDigit(chars[after])) {
+      after++;
+   }
+   return !(before >= 0 && isWordChar(chars[before])) && !(after < chars.length && isWordChar(chars[after]));
+}
+
+/**
+ * Returns the blocklist entries found in the text as {term, action, start, end},
+ * where start and end are indices of the original (code point) characters. Unless
+ * the entry allows partial matches the term has to stand as a whole word.
+ */
+function findBlockedTerms(text, blocklist) {
+   const chars = [...String(text || '')];
+   const {normalized, sourceIndex} = normalizeForMatching(text);
+   const matches = [];
+
+   blocklist.forEach(entry => {
+      if (!entry.term) {
+         return;
+      }
+      for (const match of normalized.matchAll(termPattern(entry))) {
+         const matchEnd = match.index + match[0].length - 1;
+         const start = sourceIndex[match.index];
+         const end = sourceIndex[matchEnd] + 1;
+         if (!entry.partial && !standsAlone(chars, start, end)) {
+            continue;
+         }
+         matches.push({
+            term: entry.term,
+            action: entry.action,
+            start: start,
+            end: end
+         });
+      }
+   });
+
+   return matches;
+}
+
+/**
+ * Replaces the matched characters with asterisks, keeping whitespace.
+ */
+function maskMatches(text, matches) {
+   const chars = [...String(text)];
+   matches.forEach(match => {
+      for (let i = match.start; i < match.end; i++) {
+         if (!/\s/.test(chars[i])) {
+            chars[i] = '*';
+         }
+      }
+   });
+   return chars.join('');
+}
+
+function countLinks(text) {
+   return (String(text || '').match(linkPattern) || []).length;
+}
+
+/**
+ * Normalized form used to spot repeated comments that differ only in case,
+ * spacing or leetspeak.
+ */
+function comparableText(text) {
+   return normalizeForMatching(text).normalized.replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+   ruleActions,
+   defaultMaxLengths,
+   defaultSpamRules,
+   normalizeForMatching,
+   findBlockedTerms,
+   maskMatches,
+   countLinks,
+   comparableText
+};
@@ -0,0 +1,128 @@
+/**
+ * Sends webhook deliveries and works out what a delivery looks like after each
+ * attempt: delivered, pending with exponential backoff, or dead-lettered as 'failed'.
+ * Reading and writing the deliveries in Firestore is left to the caller.
+ */
+
+const crypto = require('crypto');
+
+const eventTypes = [
+   'mask.created',
+   'mask.updated',
+   'mask.removed',
+   'comment.posted',
+   'rating.posted',
+   'report.filed'
+];
+
+const retryBaseSeconds = 30;
+const retryMaxSeconds = 6 * 60 * 60;
+const requestTimeoutMs = 10 * 1000;
+
+/**
+ * Seconds to wait before retrying a delivery that has failed `attempts` times.
+ */
+function retryDelaySeconds(attempts) {
+   return Math.min(retryBaseSeconds * 2 ** (attempts - 1), retryMaxSeconds);
+}
+
+/**
+ * Signs a payload the way receivers verify it: HMAC-SHA256 over "<timestamp>.<body>"
+ * with the webhook's secret, sent as `X-CamMask-Signature: sha256=<hex>`.
+ */
+function signPayload(secret, timestamp, body) {
+   return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * POSTs an event from the `webhookEvents` outbox to a receiver. Resolves to
+ * {responseStatus, error}, where error is null when the receiver answered with 2xx.
+ */
+async function sendEvent(webhook, deliveryId, eventId, event, now = new Date()) {
+   const body = JSON.stringify({
+      id: eventId,
+      type: event.type,
+      createdOn: event.createdOn,
+      data: event.data
+   });
+   const timestamp = String(Math.floor(now.getTime() / 1000));
+
+   try {
+      const response = await fetch(webhook.url, {
+         method: 'POST',
+         headers: {
+            'Content-Type': 'application/json',
+            'X-CamMask-Event': event.type,
+            'X-CamMask-Delivery': deliveryId,
+            'X-CamMask-Timestamp': timestamp,
+            'X-CamMask-Signature': signPayload(webhook.secret, timestamp, body)
+         },
+         body: body,
+         signal: AbortSignal.timeout(requestTimeoutMs)
+      });
+      return {
+         responseStatus: response.status,
+         error: response.ok ? null : `Receiver responded with ${response.status}`
+      };
+   } catch (error) {
+      return {responseStatus: null, error: String(error)};
+   }
+}
+
+/**
+ * The delivery fields to write after an attempt. A failed attempt is retried after
+ * retryDelaySeconds until maxAttempts, after which the delivery is dead-lettered.
+ */
+function attemptResult(delivery, result, maxAttempts, now = new Date()) {
+   const attempts = (delivery.attempts || 0) + 1;
+   const attemptedOn = now.toISOString();
+
+   if (!result.error) {
+      return {
+         status: 'delivered',
+         attempts: attempts,
+         lastAttemptOn: attemptedOn,
+         lastResponseStatus: result.responseStatus,
+         lastError: null,
+         deliveredOn: attemptedOn
+      };
+   }
+
+   const deadLettered = attempts >= maxAttempts;
+   return {
+      status: deadLettered ? 'failed' : 'pending',
+      attempts: attempts,
+      lastAttemptOn: attemptedOn,
+      lastResponseStatus: result.responseStatus,
+      lastError: result.error,
+      nextAttemptOn: deadLettered
+          ? null
+          : new Date(now.getTime() + retryDelaySeconds(attempts) * 1000).toISOString(),
+      ...(deadLettered ? {failedOn: attemptedOn} : {})
+   };
+}
+
+/**
+ * The delivery fields that start a failed delivery over. A replay keeps the
+ * delivery id, so receivers can tell it apart from a new event. `failedOn` is
+ * left for the caller to delete.
+ */
+function replayResult(googleId, now = new Date()) {
+   return {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptOn: now.toISOString(),
+      replayedOn: now.toISOString(),
+      replayedByGoogleId: googleId
+   };
+}
+
+module.exports = {
+   eventTypes,
+   requestTimeoutMs,
+   retryDelaySeconds,
+   signPayload,
+   sendEvent,
+   attemptResult,
+   replayResult
+};